@@ -0,0 +1,16 @@
+// Where deliveries leave from, as [longitude, latitude]; distance-based delivery
+// fees are measured from here. Set DEPOT_LOCATION to "longitude,latitude".
+const parseLocation = (value) => {
+  if (!value) return null;
+  const coordinates = value.split(',').map(Number);
+  if (coordinates.length !== 2 || coordinates.some(Number.isNaN)) {
+    throw new Error(`Invalid DEPOT_LOCATION "${value}", expected "longitude,latitude"`);
+  }
+  return coordinates;
+};
+
+const depotLocation = parseLocation(process.env.DEPOT_LOCATION);
+
+module.exports = {
+  depotLocation
+};
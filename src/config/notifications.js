@@ -0,0 +1,28 @@
+// Notification types members can receive and the channels each is delivered on
+// unless the member chose otherwise
+const notificationTypes = {
+  'community.member_joined': {
+    description: 'Someone joined your community',
+    defaults: { inApp: true, email: false }
+  },
+  'community.voting_opened': {
+    description: 'A vote on the delivery day and time was opened',
+    defaults: { inApp: true, email: false }
+  },
+  'community.delivery_changed': {
+    description: "Your community's delivery day or time changed",
+    defaults: { inApp: true, email: true }
+  },
+  'order.status_changed': {
+    description: 'One of your orders changed status',
+    defaults: { inApp: true, email: false }
+  },
+  'order.payment_shortfall': {
+    description: 'A delivered order has an amount left to pay',
+    defaults: { inApp: true, email: true }
+  }
+};
+
+module.exports = {
+  notificationTypes
+};
@@ -0,0 +1,41 @@
+// Permissions granted to every authenticated shopper
+const userPermissions = [
+  'community:read',
+  'community:create',
+  'community:join',
+  'community:vote',
+  'order:read',
+  'order:create',
+  'order:update',
+  'order:delete'
+];
+
+// Admins can do everything a user can, plus manage the catalog, communities and roles
+const adminPermissions = [
+  ...userPermissions,
+  'article:create',
+  'article:update',
+  'article:delete',
+  'inventory:manage',
+  'coupon:manage',
+  'webhook:manage',
+  'community:update',
+  'order:manage',
+  'user:manage'
+];
+
+const rolePermissions = {
+  user: userPermissions,
+  admin: adminPermissions
+};
+
+// Check whether a role has been granted a permission
+const hasPermission = (role, permission) => {
+  const permissions = rolePermissions[role] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = {
+  rolePermissions,
+  hasPermission
+};
@@ -0,0 +1,18 @@
+// Which proxies in front of the app to trust for the client address (req.ip),
+// passed to Express's `trust proxy` setting. Without it every client behind a
+// reverse proxy has the proxy's address and shares its rate limits. Set
+// TRUST_PROXY to `true`, a number of hops, or a comma-separated list of
+// addresses and subnets (e.g. "loopback, 10.0.0.0/8").
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value.trim())) return Number(value);
+  return value;
+};
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+
+module.exports = {
+  parseTrustProxy,
+  trustProxy
+};
@@ -22,6 +22,131 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+        },
+        cursor: {
+          in: 'query',
+          name: 'cursor',
+          description: 'Opaque cursor from pagination.nextCursor of the previous page',
+          schema: { type: 'string' },
+        },
+        limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        },
+      },
+      schemas: {
+        PageEnvelope: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: {},
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                totalPages: { type: 'integer' },
+              },
+            },
+            links: {
+              type: 'object',
+              properties: {
+                self: { type: 'string' },
+                next: { type: 'string', nullable: true },
+                prev: { type: 'string', nullable: true },
+              },
+            },
+          },
+        },
+        CursorEnvelope: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'array',
+              items: {},
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                nextCursor: { type: 'string', nullable: true },
+              },
+            },
+            links: {
+              type: 'object',
+              properties: {
+                self: { type: 'string' },
+                next: { type: 'string', nullable: true },
+              },
+            },
+          },
+        },
+        Forbidden: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              example: 'Missing permission: article:create',
+            },
+            permission: {
+              type: 'string',
+              example: 'article:create',
+            },
+          },
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              example: 'Validation failed',
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'price' },
+                  location: { type: 'string', enum: ['body', 'params', 'query', 'headers', 'cookies'] },
+                  message: { type: 'string', example: 'Price must be a positive number' },
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        Forbidden: {
+          description: 'Missing permission',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Forbidden',
+              },
+            },
+          },
+        },
+        ValidationError: {
+          description: 'Invalid input',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ValidationError',
+              },
+            },
+          },
+        },
+      },
     },
     security: [{
       bearerAuth: [],
@@ -0,0 +1,11 @@
+// Events partners can subscribe webhooks to
+const webhookEventTypes = {
+  'order.created': 'An order was placed',
+  'order.cancelled': 'An order was cancelled',
+  'order.delivered': 'An order was delivered',
+  'community.delivery_changed': "A community's delivery day or time changed"
+};
+
+module.exports = {
+  webhookEventTypes
+};
@@ -1,21 +1,77 @@
+const mongoose = require('mongoose');
 const Article = require('../models/Article');
+const StockMovement = require('../models/StockMovement');
+const { InsufficientStockError, adjustStock, findLowStock } = require('../services/inventory');
+const { parsePageParams, pageEnvelope } = require('../services/pagination');
+
+// Sort options for the catalog; 'relevance' needs a search term
+const sortOptions = {
+  relevance: { score: { $meta: 'textScore' }, name: 1 },
+  name: { name: 1 },
+  '-name': { name: -1 },
+  price: { price: 1, name: 1 },
+  '-price': { price: -1, name: 1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 }
+};
 
 // Create a new article
 const createArticle = async (req, res) => {
   try {
     const article = new Article(req.body);
     await article.save();
+
+    // Record the opening stock so the movement log adds up
+    if (article.stock !== null) {
+      await StockMovement.create({
+        article: article._id,
+        change: article.stock,
+        stockAfter: article.stock,
+        reason: 'Initial stock',
+        user: req.user._id
+      });
+    }
+
     res.status(201).json(article);
   } catch (error) {
     res.status(500).json({ message: 'Error creating article', error: error.message });
   }
 };
 
-// Get all articles
+// Get articles, with search, filters, sorting and pagination
 const getAllArticles = async (req, res) => {
   try {
-    const articles = await Article.find();
-    res.json(articles);
+    const { q, category, unit, minPrice, maxPrice, available } = req.query;
+    const { page, limit, skip } = parsePageParams(req.query);
+
+    const filter = {};
+    if (q) {
+      filter.$text = { $search: q };
+    }
+    if (category) {
+      filter.category = { $in: category.split(',') };
+    }
+    if (unit) {
+      filter.unit = { $in: unit.split(',') };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) filter.price.$lte = Number(maxPrice);
+    }
+    if (available !== undefined) {
+      filter.isAvailable = available === 'true';
+    }
+
+    const sortKey = req.query.sort || (q ? 'relevance' : 'name');
+    const projection = sortKey === 'relevance' ? { score: { $meta: 'textScore' } } : {};
+
+    const [articles, total] = await Promise.all([
+      Article.find(filter, projection).sort(sortOptions[sortKey]).skip(skip).limit(limit),
+      Article.countDocuments(filter)
+    ]);
+
+    res.json(pageEnvelope(req, { data: articles, total, page, limit }));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching articles', error: error.message });
   }
@@ -64,10 +120,44 @@ const deleteArticle = async (req, res) => {
   }
 };
 
+// Adjust an article's stock with a reason
+const updateStock = async (req, res) => {
+  try {
+    const { change, reason } = req.body;
+
+    let article;
+    await mongoose.connection.transaction(async (session) => {
+      article = await adjustStock(req.params.id, change, { session, user: req.user, reason });
+    });
+
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    res.json(article);
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ message: 'Stock cannot go below zero', items: error.items });
+    }
+    res.status(500).json({ message: 'Error adjusting stock', error: error.message });
+  }
+};
+
+// Get articles that are running low on stock
+const getLowStockArticles = async (req, res) => {
+  try {
+    const articles = await findLowStock();
+    res.json(articles);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching low-stock articles', error: error.message });
+  }
+};
+
 module.exports = {
   createArticle,
   getAllArticles,
   getArticle,
   updateArticle,
-  deleteArticle
+  deleteArticle,
+  updateStock,
+  getLowStockArticles
 }; 
\ No newline at end of file
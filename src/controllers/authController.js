@@ -1,5 +1,26 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { issueTokens, revokeFamily, revokeAllSessions, rotateRefreshToken } = require('../services/tokens');
+const { createUserToken, consumeUserToken } = require('../services/userTokens');
+const { sendMail } = require('../services/mail');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Mail a fresh email verification link
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user, 'email-verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = `${process.env.APP_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your PicnicHood email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address: ${link}\n\nThe link expires in 24 hours.`
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save();
+};
 
 const register = async (req, res) => {
   try {
@@ -20,21 +41,22 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // A mail hiccup should not fail the signup; the user can ask for a resend
+    await sendVerificationEmail(user)
+      .catch(err => console.error('Error sending verification email:', err));
+
+    // Start a session with an access token and a refresh token
+    const tokens = await issueTokens(user, { req });
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'User registered successfully; check your email to verify your address',
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -52,27 +74,33 @@ const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Refuse while locked out after repeated failures
+    if (user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Account temporarily locked after failed logins', retryAfter });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    await user.registerSuccessfulLogin();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session with an access token and a refresh token
+    const tokens = await issueTokens(user, { req });
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         community: user.community
       }
     });
@@ -81,7 +109,173 @@ const login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access and refresh token
+const refresh = async (req, res) => {
+  try {
+    const { error, tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+};
+
+// Log out of the current device
+const logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeFamily(req.sessionId, 'logout');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// Log out of all devices
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// Mail a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Answer the same either way so the endpoint does not reveal who has an account
+    if (user) {
+      const token = await createUserToken(user, 'password-reset', PASSWORD_RESET_TTL_MS);
+      const link = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your PicnicHood password',
+        text: `Hi ${user.username},\n\nUse this link to choose a new password: ${link}\n\n` +
+          'The link expires in one hour. If you did not ask for a reset, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+// Set a new password with a reset token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeUserToken(token, 'password-reset');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user, 'password-changed');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+};
+
+// Change the password of the logged-in user
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every other device and hand this one a fresh session
+    await revokeAllSessions(user, 'password-changed');
+    const tokens = await issueTokens(user, { req });
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+};
+
+// Confirm an email address with a verification token
+const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email-verification');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+};
+
+// Send the verification email again, at most once a minute
+const resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const nextAllowedAt = user.verificationSentAt
+      ? user.verificationSentAt.getTime() + VERIFICATION_RESEND_INTERVAL_MS
+      : 0;
+    if (nextAllowedAt > Date.now()) {
+      res.set('Retry-After', String(Math.ceil((nextAllowedAt - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Please wait before requesting another verification email' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+};
+
 module.exports = {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification
 }; 
\ No newline at end of file
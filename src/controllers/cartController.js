@@ -0,0 +1,136 @@
+const Cart = require('../models/Cart');
+const Article = require('../models/Article');
+const { CartChangedError, findOrCreateCart, emptyCart, priceCart } = require('../services/cart');
+const { placeOrder } = require('../services/orderPlacement');
+
+// Get the cart with live prices and availability
+const getCart = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    res.json(await priceCart(cart));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching cart', error: error.message });
+  }
+};
+
+// Add an article to the cart, or add to its quantity if it is already there
+const addCartItem = async (req, res) => {
+  try {
+    const { article: articleId, quantity } = req.body;
+
+    const article = await Article.findById(articleId);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const existing = cart.items.find(item => item.article.equals(article._id));
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({ article: article._id, quantity });
+    }
+
+    await cart.save();
+    res.json(await priceCart(cart));
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding to cart', error: error.message });
+  }
+};
+
+// Set the quantity of an article in the cart
+const updateCartItem = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    const item = cart.items.find(item => item.article.equals(req.params.articleId));
+    if (!item) {
+      return res.status(404).json({ message: 'Article is not in your cart' });
+    }
+
+    item.quantity = req.body.quantity;
+    await cart.save();
+    res.json(await priceCart(cart));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating cart', error: error.message });
+  }
+};
+
+// Remove an article from the cart
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    const before = cart.items.length;
+    cart.items = cart.items.filter(item => !item.article.equals(req.params.articleId));
+    if (cart.items.length === before) {
+      return res.status(404).json({ message: 'Article is not in your cart' });
+    }
+
+    await cart.save();
+    res.json(await priceCart(cart));
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing from cart', error: error.message });
+  }
+};
+
+// Empty the cart
+const clearCart = async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user._id }, { $set: { items: [], updatedAt: new Date() } });
+    res.json({ message: 'Cart cleared' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error clearing cart', error: error.message });
+  }
+};
+
+// Turn the cart into an order for the community's next delivery and empty it
+const checkout = async (req, res) => {
+  try {
+    const { deliveryDate, snapToNextSlot, couponCode } = req.body;
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' });
+    }
+
+    // Make the user fix unavailable items rather than silently dropping them
+    const { warnings } = await priceCart(cart);
+    if (warnings.length > 0) {
+      return res.status(409).json({ message: 'Some items in your cart cannot be ordered', warnings });
+    }
+
+    const communityId = req.body.community || req.user.community;
+    if (!communityId) {
+      return res.status(400).json({ message: 'Join a community or choose one to check out' });
+    }
+
+    const { order, error } = await placeOrder({
+      user: req.user,
+      communityId,
+      items: cart.items.map(({ article, quantity }) => ({ article, quantity })),
+      deliveryDate,
+      snapToNextSlot,
+      couponCode,
+      withinTransaction: session => emptyCart(cart, session)
+    });
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof CartChangedError) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error checking out', error: error.message });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout
+};
@@ -1,19 +1,31 @@
 const Community = require('../models/Community');
 const User = require('../models/User');
+const VotingRound = require('../models/VotingRound');
 const mongoose = require('mongoose');
+const { findDeliveryOrders, buildPickingList, buildPackingSlips } = require('../services/pickingList');
+const { nextDeliverySlots, communityCutoffHours } = require('../services/scheduling');
+const { tally, castVote, closeRound, findOpenRound } = require('../services/voting');
+const { deliveryFeeSummary, resplitUpcomingDeliveries } = require('../services/deliveryFees');
+const { emitEvent } = require('../services/events');
+const { hasPermission } = require('../config/permissions');
+const { parseCursorParams, afterCursor, cursorSort, cursorEnvelope } = require('../services/pagination');
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // Create a new community
 const createCommunity = async (req, res) => {
   try {
-    const { name, location } = req.body;
+    const { name, location, timezone, orderCutoffHours } = req.body;
 
     // Create new community
     const community = new Community({
       name,
       location,
+      timezone,
+      orderCutoffHours,
       members: [{
-        user: req.user._id,
-        deliveryTime: 'Morning'
+        user: req.user._id
       }]
     });
 
@@ -24,16 +36,87 @@ const createCommunity = async (req, res) => {
   }
 };
 
-// Get all communities
+// Get communities by name, with filters and cursor pagination
 const getAllCommunities = async (req, res) => {
   try {
-    const communities = await Community.find().populate('members.user', 'username email');
-    res.json(communities);
+    const { name, deliveryDay, deliveryTime } = req.query;
+    const { limit, cursor } = parseCursorParams(req.query);
+
+    const filter = {};
+    if (name) {
+      filter.name = { $regex: escapeRegex(name), $options: 'i' };
+    }
+    if (deliveryDay) {
+      filter['preferences.deliveryDay'] = deliveryDay;
+    }
+    if (deliveryTime) {
+      filter['preferences.deliveryTime'] = deliveryTime;
+    }
+
+    // Members are summarised as a count instead of populated
+    const [communities, total] = await Promise.all([
+      Community.aggregate([
+        { $match: { ...filter, ...afterCursor(cursor, 'name', 1) } },
+        { $sort: cursorSort('name', 1) },
+        { $limit: limit + 1 },
+        {
+          $project: {
+            name: 1,
+            preferences: 1,
+            location: 1,
+            timezone: 1,
+            memberCount: { $size: '$members' },
+            createdAt: 1
+          }
+        }
+      ]),
+      Community.countDocuments(filter)
+    ]);
+
+    res.json(cursorEnvelope(req, { items: communities, total, limit, field: 'name' }));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching communities', error: error.message });
   }
 };
 
+// Find communities near a point, closest first
+const getNearbyCommunities = async (req, res) => {
+  try {
+    const { lng, lat, radius = 5000, deliveryDay, limit = 20 } = req.query;
+
+    const query = {};
+    if (deliveryDay) {
+      query['preferences.deliveryDay'] = deliveryDay;
+    }
+
+    const communities = await Community.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+          distanceField: 'distance',
+          maxDistance: Number(radius),
+          spherical: true,
+          query
+        }
+      },
+      { $limit: Number(limit) },
+      {
+        $project: {
+          name: 1,
+          location: 1,
+          preferences: 1,
+          distance: { $round: ['$distance', 0] },
+          memberCount: { $size: '$members' }
+        }
+      }
+    ]);
+
+    res.json(communities);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching nearby communities', error: error.message });
+  }
+};
+
 // Get a single community
 const getCommunity = async (req, res) => {
   try {
@@ -69,10 +152,9 @@ const joinCommunity = async (req, res) => {
       return res.status(400).json({ message: 'User is already a member of another community' });
     }
 
-    // Add user as a new member with default delivery time
+    // Add user as a new member
     community.members.push({
-      user: userId,
-      deliveryTime: 'Morning'
+      user: userId
     });
 
     // Update user's community field
@@ -81,6 +163,11 @@ const joinCommunity = async (req, res) => {
 
     await community.save();
 
+    emitEvent('community.member_joined', {
+      community: { id: community._id, name: community.name },
+      user: { id: user._id, username: user.username }
+    });
+
     // Populate user information before sending response
     await community.populate('members.user', 'username email');
 
@@ -111,10 +198,16 @@ const leaveCommunity = async (req, res) => {
 
     await community.save();
 
-    // If there are still members, update the community's delivery time preference
-    if (community.members.length > 0) {
-      await updateCommunityDeliveryTime(community);
-    }
+    // Votes only count while you are a member
+    await VotingRound.updateOne(
+      { community: community._id, status: 'open' },
+      { $pull: { votes: { user: userId } } }
+    );
+
+    emitEvent('community.member_left', {
+      community: { id: community._id, name: community.name },
+      user: { id: req.user._id, username: req.user.username }
+    });
 
     res.json({ message: 'Successfully left the community' });
   } catch (error) {
@@ -141,60 +234,172 @@ const getCommunityMembers = async (req, res) => {
 // Update community preferences
 const updatePreferences = async (req, res) => {
   try {
-    const { deliveryDay, deliveryTime } = req.body;
+    const { deliveryDay, deliveryTime, orderCutoffHours, votingTieBreak, deliveryFee } = req.body;
     const community = await Community.findById(req.params.id);
 
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
     }
 
+    const previous = {
+      deliveryDay: community.preferences.deliveryDay,
+      deliveryTime: community.preferences.deliveryTime
+    };
+
     // Update preferences
     community.preferences = {
       ...community.preferences,
       deliveryDay,
       deliveryTime
     };
+    if (orderCutoffHours !== undefined) {
+      community.orderCutoffHours = orderCutoffHours;
+    }
+    if (votingTieBreak !== undefined) {
+      community.votingTieBreak = votingTieBreak;
+    }
+    if (deliveryFee !== undefined) {
+      community.deliveryFee = {
+        mode: deliveryFee.mode ?? community.deliveryFee.mode,
+        amount: deliveryFee.amount ?? community.deliveryFee.amount,
+        perKm: deliveryFee.perKm ?? community.deliveryFee.perKm
+      };
+    }
 
     await community.save();
-    res.json({ message: 'Preferences updated successfully', preferences: community.preferences });
+
+    if (previous.deliveryDay !== deliveryDay || previous.deliveryTime !== deliveryTime) {
+      emitEvent('community.delivery_changed', {
+        community: { id: community._id, name: community.name },
+        previous,
+        current: { deliveryDay, deliveryTime },
+        reason: 'admin'
+      });
+    }
+
+    // Members already ordering for upcoming deliveries pay the new fee too
+    if (deliveryFee !== undefined) {
+      await resplitUpcomingDeliveries(community);
+    }
+
+    res.json({
+      message: 'Preferences updated successfully',
+      preferences: community.preferences,
+      orderCutoffHours: community.orderCutoffHours,
+      votingTieBreak: community.votingTieBreak,
+      deliveryFee: community.deliveryFee
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error updating preferences', error: error.message });
   }
 };
 
-// Helper function to update community delivery time based on votes
-const updateCommunityDeliveryTime = async (community) => {
-  const timeCounts = {
-    Morning: 0,
-    Afternoon: 0,
-    Evening: 0
-  };
-
-  community.members.forEach(member => {
-    timeCounts[member.deliveryTime]++;
-  });
-
-  // Find the most popular time
-  let mostPopularTime = 'Morning';
-  let maxVotes = timeCounts.Morning;
-
-  if (timeCounts.Afternoon > maxVotes) {
-    mostPopularTime = 'Afternoon';
-    maxVotes = timeCounts.Afternoon;
+// Check whether a user is a member of a community
+const isMember = (community, userId) =>
+  community.members.some(member => member.user.equals(userId));
+
+// Summarise a round with its live tallies
+const describeRound = (round) => ({
+  _id: round._id,
+  status: round.status,
+  opensAt: round.opensAt,
+  closesAt: round.closesAt,
+  tieBreak: round.tieBreak,
+  voteCount: round.votes.length,
+  tallies: {
+    deliveryDay: tally(round.votes, 'deliveryDay'),
+    deliveryTime: tally(round.votes, 'deliveryTime')
+  },
+  votes: round.votes,
+  result: round.result
+});
+
+// Open a voting round on the community's delivery day and time
+const openVotingRound = async (req, res) => {
+  try {
+    const { opensAt, closesAt, tieBreak } = req.body;
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    if (!isMember(community, req.user._id) && !hasPermission(req.user.role, 'community:update')) {
+      return res.status(403).json({ message: 'You are not a member of this community' });
+    }
+
+    if (await findOpenRound(community._id)) {
+      return res.status(409).json({ message: 'A voting round is already open for this community' });
+    }
+
+    const round = new VotingRound({
+      community: community._id,
+      opensAt: opensAt || new Date(),
+      closesAt,
+      tieBreak: tieBreak || community.votingTieBreak,
+      createdBy: req.user._id
+    });
+
+    if (round.closesAt <= round.opensAt || round.closesAt <= new Date()) {
+      return res.status(400).json({ message: 'Voting must close in the future and after it opens' });
+    }
+
+    await round.save();
+
+    emitEvent('community.voting_opened', {
+      community: { id: community._id, name: community.name },
+      round: { id: round._id, opensAt: round.opensAt, closesAt: round.closesAt },
+      openedBy: req.user._id
+    });
+
+    res.status(201).json(describeRound(round));
+  } catch (error) {
+    res.status(500).json({ message: 'Error opening voting round', error: error.message });
   }
-  if (timeCounts.Evening > maxVotes) {
-    mostPopularTime = 'Evening';
+};
+
+// Close the open voting round now and apply its result
+const closeVotingRound = async (req, res) => {
+  try {
+    const round = await findOpenRound(req.params.id);
+    if (!round) {
+      return res.status(404).json({ message: 'No open voting round for this community' });
+    }
+
+    const closed = await closeRound(round);
+    if (!closed) {
+      return res.status(409).json({ message: 'Voting round was already closed' });
+    }
+
+    res.json({
+      message: 'Voting round closed',
+      round: describeRound(closed.round),
+      preferences: closed.community && closed.community.preferences
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error closing voting round', error: error.message });
   }
+};
 
-  // Update community preferences
-  community.preferences.deliveryTime = mostPopularTime;
-  await community.save();
+// Get the community's voting rounds, newest first
+const getVotingRounds = async (req, res) => {
+  try {
+    // Settle a round whose deadline passed before listing
+    await findOpenRound(req.params.id);
+
+    const rounds = await VotingRound.find({ community: req.params.id })
+      .select('-votes')
+      .sort({ createdAt: -1 });
+    res.json(rounds);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching voting rounds', error: error.message });
+  }
 };
 
-// Vote for delivery time
+// Vote for delivery day and time in the open round
 const voteForDeliveryTime = async (req, res) => {
   try {
-    const { deliveryTime } = req.body;
+    const { deliveryDay, deliveryTime } = req.body;
     const community = await Community.findById(req.params.id);
 
     if (!community) {
@@ -204,28 +409,43 @@ const voteForDeliveryTime = async (req, res) => {
     // Convert user ID to ObjectId for comparison
     const userId = new mongoose.Types.ObjectId(req.user._id);
 
-    // Find member index
-    const memberIndex = community.members.findIndex(
-      member => member.user.equals(userId)
-    );
-
-    if (memberIndex === -1) {
+    if (!isMember(community, userId)) {
       return res.status(403).json({ message: 'You are not a member of this community' });
     }
 
-    // Update member's delivery time
-    community.members[memberIndex].deliveryTime = deliveryTime;
+    const openRound = await findOpenRound(community._id);
+    if (!openRound) {
+      return res.status(409).json({ message: 'There is no open voting round for this community' });
+    }
+    if (openRound.opensAt > new Date()) {
+      return res.status(409).json({ message: `Voting opens at ${openRound.opensAt.toISOString()}` });
+    }
 
-    // Update community delivery time based on all votes
-    await updateCommunityDeliveryTime(community);
+    // A new vote replaces the member's previous one
+    const round = await castVote(openRound, userId, { deliveryDay, deliveryTime });
+    if (!round) {
+      return res.status(409).json({ message: 'The voting round closed before your vote was recorded' });
+    }
 
-    // Populate user information before sending response
-    await community.populate('members.user', 'username email');
+    emitEvent('community.vote_cast', {
+      community: { id: community._id, name: community.name },
+      round: {
+        id: round._id,
+        voteCount: round.votes.length,
+        tallies: {
+          deliveryDay: tally(round.votes, 'deliveryDay'),
+          deliveryTime: tally(round.votes, 'deliveryTime')
+        }
+      },
+      user: { id: req.user._id, username: req.user.username }
+    });
+
+    await round.populate('votes.user', 'username email');
 
     res.json({
       message: 'Vote recorded successfully',
       preferences: community.preferences,
-      members: community.members
+      round: describeRound(round)
     });
   } catch (error) {
     res.status(500).json({ message: 'Error recording vote', error: error.message });
@@ -235,30 +455,127 @@ const voteForDeliveryTime = async (req, res) => {
 // Get community votes
 const getCommunityVotes = async (req, res) => {
   try {
-    const community = await Community.findById(req.params.id)
-      .populate('members.user', 'username email');
+    // Look up the round first: settling an expired one updates the preferences
+    const round = await findOpenRound(req.params.id);
+    const community = await Community.findById(req.params.id);
 
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
     }
 
+    if (round) {
+      await round.populate('votes.user', 'username email');
+    }
+
     res.json({
       preferences: community.preferences,
-      members: community.members
+      round: round ? describeRound(round) : null
     });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching votes', error: error.message });
   }
 };
 
+// Get the community's upcoming delivery slots
+const getDeliverySlots = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    const slots = nextDeliverySlots(community, { count: Number(req.query.count) || 4 });
+    res.json(slots);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching delivery slots', error: error.message });
+  }
+};
+
+// Get when ordering for the next delivery closes
+const getOrderingWindow = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    // The upcoming delivery may already be locked; orders then go to the one after
+    const [nextDelivery] = nextDeliverySlots(community, { count: 1 });
+    const [openDelivery] = nextDeliverySlots(community, { count: 1, openOnly: true });
+
+    res.json({
+      cutoffHours: communityCutoffHours(community),
+      nextDelivery: {
+        ...nextDelivery,
+        isLocked: nextDelivery.orderCutoff <= new Date()
+      },
+      openDelivery: {
+        ...openDelivery,
+        deliveryFee: await deliveryFeeSummary(community, openDelivery.start)
+      },
+      closesAt: openDelivery.orderCutoff
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching ordering window', error: error.message });
+  }
+};
+
+// Get the consolidated picking list for a community delivery
+const getPickingList = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    const orders = await findDeliveryOrders(community, req.query.deliveryDate);
+
+    res.json({
+      community: { _id: community._id, name: community.name },
+      deliveryDate: req.query.deliveryDate,
+      ...buildPickingList(orders)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building picking list', error: error.message });
+  }
+};
+
+// Get a packing slip per member for a community delivery
+const getPackingSlips = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    const orders = await findDeliveryOrders(community, req.query.deliveryDate);
+
+    res.json({
+      community: { _id: community._id, name: community.name },
+      deliveryDate: req.query.deliveryDate,
+      slips: buildPackingSlips(orders)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building packing slips', error: error.message });
+  }
+};
+
 module.exports = {
   createCommunity,
   getAllCommunities,
+  getNearbyCommunities,
   getCommunity,
   joinCommunity,
   leaveCommunity,
   getCommunityMembers,
   updatePreferences,
+  openVotingRound,
+  closeVotingRound,
+  getVotingRounds,
   voteForDeliveryTime,
-  getCommunityVotes
+  getCommunityVotes,
+  getDeliverySlots,
+  getOrderingWindow,
+  getPickingList,
+  getPackingSlips
 }; 
\ No newline at end of file
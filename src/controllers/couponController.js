@@ -0,0 +1,131 @@
+const Coupon = require('../models/Coupon');
+const { parsePageParams, pageEnvelope } = require('../services/pagination');
+
+// Fields an admin may set on a coupon
+const editableFields = [
+  'description',
+  'type',
+  'value',
+  'community',
+  'minSubtotal',
+  'validFrom',
+  'validUntil',
+  'maxUses',
+  'maxUsesPerUser',
+  'isActive'
+];
+
+// Check the combination of fields that single-field validation cannot
+const checkCouponTerms = (coupon) => {
+  if (coupon.type === 'percentage' && coupon.value > 100) {
+    return 'A percentage coupon cannot take off more than 100%';
+  }
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return 'validUntil must be after validFrom';
+  }
+  return null;
+};
+
+// Create a coupon
+const createCoupon = async (req, res) => {
+  try {
+    const existing = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(409).json({ message: 'A coupon with this code already exists' });
+    }
+
+    const coupon = new Coupon({ code: req.body.code, createdBy: req.user._id });
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    const termsError = checkCouponTerms(coupon);
+    if (termsError) {
+      return res.status(400).json({ message: termsError });
+    }
+
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating coupon', error: error.message });
+  }
+};
+
+// Get coupons, newest first
+const getCoupons = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePageParams(req.query);
+
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json(pageEnvelope(req, { data: coupons, total, page, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching coupons', error: error.message });
+  }
+};
+
+// Get a single coupon
+const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching coupon', error: error.message });
+  }
+};
+
+// Update a coupon's terms; orders already placed keep the terms they were given
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    const termsError = checkCouponTerms(coupon);
+    if (termsError) {
+      return res.status(400).json({ message: termsError });
+    }
+
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating coupon', error: error.message });
+  }
+};
+
+// Delete a coupon; orders that used it keep their discount
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting coupon', error: error.message });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,110 @@
+const Community = require('../models/Community');
+const { hasPermission } = require('../config/permissions');
+const { communityTopic, ordersTopic, subscribe, eventsSince } = require('../services/liveUpdates');
+
+// How long clients wait before reconnecting, and how often an idle stream is
+// written to so proxies keep it open
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25 * 1000;
+
+// Longest timer setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Turn the requested topics into the ones the user may follow. Without a request
+// the user follows their own community and their orders.
+// Returns { topics } or { error: { status, message } }.
+const resolveTopics = async (user, requested) => {
+  const names = requested
+    ? requested.split(',').map(name => name.trim()).filter(Boolean)
+    : [...(user.community ? [`community:${user.community}`] : []), 'orders'];
+
+  const topics = new Set();
+  for (const name of names) {
+    if (name === 'orders') {
+      topics.add(ordersTopic(user._id));
+      continue;
+    }
+
+    const communityId = name.slice('community:'.length);
+    const community = await Community.findById(communityId).select('members');
+    if (!community) {
+      return { error: { status: 404, message: `Community not found: ${communityId}` } };
+    }
+    const isMember = community.members.some(member => member.user.equals(user._id));
+    if (!isMember && !hasPermission(user.role, 'community:update')) {
+      return { error: { status: 403, message: `You are not a member of community ${communityId}` } };
+    }
+    topics.add(communityTopic(community._id));
+  }
+
+  return { topics };
+};
+
+// Write an event in the Server-Sent Events format
+const writeEvent = (res, { id, event, data }) => {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream community and order events as they happen. A client that reconnects
+// with the id of the last event it saw first gets the events it missed, or a
+// `reset` event when they are no longer kept and it should reload its state.
+const streamLiveUpdates = async (req, res) => {
+  try {
+    const { topics, error } = await resolveTopics(req.user, req.query.topics);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = ({ id, topic, event }) => writeEvent(res, { id, event: event.type, data: { topic, ...event } });
+
+    writeEvent(res, { event: 'ready', data: { topics: [...topics] } });
+
+    // Replay and subscribe without yielding in between, so no event falls in a gap
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = eventsSince(lastEventId, topics);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        writeEvent(res, { event: 'reset', data: { message: 'Missed events are no longer available' } });
+      }
+    }
+    const unsubscribe = subscribe({ user: req.user._id, topics, send });
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    // The stream ends with the token it was opened with; the client reconnects with a fresh one
+    const expiry = req.tokenExpiresAt && setTimeout(() => {
+      writeEvent(res, { event: 'token-expired', data: { message: 'Access token expired, reconnect with a new one' } });
+      res.end();
+    }, Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS));
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Error opening live updates', error: error.message });
+  }
+};
+
+module.exports = {
+  streamLiveUpdates
+};
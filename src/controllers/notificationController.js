@@ -0,0 +1,111 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { preferencesFor } = require('../services/notifications');
+const { parseCursorParams, afterCursor, cursorSort, cursorEnvelope } = require('../services/pagination');
+
+// Get the user's notifications, newest first, with their unread count
+const getNotifications = async (req, res) => {
+  try {
+    const { limit, cursor } = parseCursorParams(req.query);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find({ ...filter, ...afterCursor(cursor, 'createdAt', -1) })
+        .sort(cursorSort('createdAt', -1))
+        .limit(limit + 1)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({ ...cursorEnvelope(req, { items, total, limit, field: 'createdAt' }), unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notifications', error: error.message });
+  }
+};
+
+// Get the number of unread notifications
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error counting notifications', error: error.message });
+  }
+};
+
+// Mark one notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notification', error: error.message });
+  }
+};
+
+// Mark every unread notification as read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notifications', error: error.message });
+  }
+};
+
+// Get the channels the user receives each notification type on
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(preferencesFor(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notification preferences', error: error.message });
+  }
+};
+
+// Choose the channels for one or more notification types
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    for (const { type, inApp, email } of req.body.preferences) {
+      const current = user.notificationPreferences.find(preference => preference.type === type);
+      if (current) {
+        current.inApp = inApp ?? current.inApp;
+        current.email = email ?? current.email;
+      } else {
+        user.notificationPreferences.push({ type, inApp, email });
+      }
+    }
+
+    await user.save();
+    res.json(preferencesFor(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notification preferences', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
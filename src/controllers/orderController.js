@@ -1,13 +1,48 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Article = require('../models/Article');
+const Payment = require('../models/Payment');
+const { hasPermission } = require('../config/permissions');
+const { checkTransition, checkEdit, applyTransition, orderSnapshot } = require('../services/orderStatus');
+const { releaseStock } = require('../services/inventory');
+const { releaseCoupon } = require('../services/coupons');
+const { splitDeliveryFee } = require('../services/deliveryFees');
+const { placeOrder } = require('../services/orderPlacement');
+const { editOrderItems } = require('../services/orderEditing');
+const { startPayment, settleOrderPayment } = require('../services/orderPayments');
+const { emitEvent } = require('../services/events');
+const { parseCursorParams, afterCursor, cursorSort, cursorEnvelope } = require('../services/pagination');
 
-// Get all orders for a user
+// Get the user's orders, newest first, with filters and cursor pagination
 const getOrders = async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user._id })
-      .populate('community', 'name')
-      .sort({ createdAt: -1 });
-    res.json(orders);
+    const { status, community, from, to } = req.query;
+    const { limit, cursor } = parseCursorParams(req.query);
+
+    const filter = { user: req.user._id };
+    if (status) {
+      filter.status = { $in: status.split(',') };
+    }
+    if (community) {
+      filter.community = community;
+    }
+    if (from || to) {
+      filter.deliveryDate = {};
+      if (from) filter.deliveryDate.$gte = new Date(from);
+      if (to) filter.deliveryDate.$lte = new Date(to);
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find({ ...filter, ...afterCursor(cursor, 'createdAt', -1) })
+        .select('-statusHistory -revisions')
+        .populate('community', 'name')
+        .sort(cursorSort('createdAt', -1))
+        .limit(limit + 1)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    const items = orders.map(order => ({ ...order, isLocked: Order.isLocked(order) }));
+    res.json(cursorEnvelope(req, { items, total, limit, field: 'createdAt' }));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching orders', error: error.message });
   }
@@ -16,64 +51,194 @@ const getOrders = async (req, res) => {
 // Create a new order
 const createOrder = async (req, res) => {
   try {
-    const { items, community, deliveryDate } = req.body;
-    const userId = req.user.id;
-
-    // Fetch all articles to get their prices
-    const articleIds = items.map(item => item.article);
-    const articles = await Article.find({ _id: { $in: articleIds } });
-    
-    // Create a map of article prices for quick lookup
-    const articlePriceMap = articles.reduce((map, article) => {
-      map[article._id.toString()] = article.price;
-      return map;
-    }, {});
-
-    // Calculate total amount using the fetched prices
-    const totalAmount = items.reduce((total, item) => {
-      const articlePrice = articlePriceMap[item.article.toString()];
-      if (!articlePrice) {
-        throw new Error(`Price not found for article ${item.article}`);
-      }
-      return total + (articlePrice * item.quantity);
-    }, 0);
+    const { items, community, deliveryDate, snapToNextSlot, couponCode } = req.body;
 
-    const order = new Order({
-      user: userId,
-      community,
+    const { order, error } = await placeOrder({
+      user: req.user,
+      communityId: community,
       items,
-      totalAmount,
       deliveryDate,
-      status: 'pending'
+      snapToNextSlot,
+      couponCode
     });
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
 
-    await order.save();
     res.status(201).json(order);
   } catch (error) {
     res.status(500).json({ message: 'Error creating order', error: error.message });
   }
 };
 
-// Delete an order
-const deleteOrder = async (req, res) => {
+// Find an order the user may act on: their own, or any order for staff
+const findAccessibleOrder = (id, user) => {
+  const filter = { _id: id };
+  if (!hasPermission(user.role, 'order:manage')) {
+    filter.user = user._id;
+  }
+  return Order.findOne(filter);
+};
+
+// Apply a status change. Cancelling releases reserved stock and the coupon, and
+// shares the delivery fee among the members still ordering. Once the change is
+// stored, payment is captured on delivery or released on cancellation.
+// Returns {} or { error: { status, message } } when the order changed since it was read.
+const saveTransition = async (order, status, user, note) => {
+  const from = order.status;
+  const { stockReserved } = order;
+  applyTransition(order, status, user, note);
   try {
-    const order = await Order.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
+    await mongoose.connection.transaction(async (session) => {
+      // A retried transaction starts over from the stock the order held when it was read
+      order.stockReserved = stockReserved;
+      if (status === 'cancelled') {
+        await releaseStock(order, { session, user });
+        await releaseCoupon(order, { session });
+      }
+      await order.save({ session });
+      if (status === 'cancelled') {
+        await splitDeliveryFee({ community: order.community, deliveryDate: order.deliveryDate, session });
+      }
     });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return { error: { status: 409, message: 'Order was changed by another request, please reload it and try again' } };
+    }
+    throw error;
+  }
+  await settleOrderPayment(order);
+
+  emitEvent('order.status_changed', {
+    order: orderSnapshot(order),
+    from,
+    to: status,
+    changedBy: user._id,
+    note
+  });
+  return {};
+};
+
+// Move an order through its status lifecycle
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const order = await findAccessibleOrder(req.params.id, req.user);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found or unauthorized' });
+    }
+
+    const transitionError = checkTransition(order, status, req.user);
+    if (transitionError) {
+      return res.status(transitionError.status).json({ message: transitionError.message });
+    }
+
+    const { error } = await saveTransition(order, status, req.user, note);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating order status', error: error.message });
+  }
+};
+
+// Add, remove or change the items of a pending order
+const updateOrder = async (req, res) => {
+  try {
+    const { items, note } = req.body;
+    const order = await findAccessibleOrder(req.params.id, req.user);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found or unauthorized' });
+    }
+
+    const editError = checkEdit(order, req.user);
+    if (editError) {
+      return res.status(editError.status).json({ message: editError.message });
+    }
+
+    const { error } = await editOrderItems(order, items, { user: req.user, note });
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating order', error: error.message });
+  }
+};
 
+// Start paying for one of the user's own orders
+const payOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
     if (!order) {
       return res.status(404).json({ message: 'Order not found or unauthorized' });
     }
 
-    res.json({ message: 'Order deleted successfully' });
+    const { payment, error } = await startPayment(order, { user: req.user, options: { scenario: req.body.scenario } });
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    res.status(201).json({ paymentStatus: order.paymentStatus, payment });
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting payment', error: error.message });
+  }
+};
+
+// Get an order's payment status and its payment attempts, newest first
+const getOrderPayments = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req.params.id, req.user);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found or unauthorized' });
+    }
+
+    const payments = await Payment.find({ order: order._id }).select('-events').sort({ createdAt: -1 });
+    res.json({ paymentStatus: order.paymentStatus, payments });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching payments', error: error.message });
+  }
+};
+
+// Cancel an order (orders are never hard-deleted so records stay intact)
+const deleteOrder = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req.params.id, req.user);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found or unauthorized' });
+    }
+
+    const transitionError = checkTransition(order, 'cancelled', req.user);
+    if (transitionError) {
+      return res.status(transitionError.status).json({ message: transitionError.message });
+    }
+
+    const { error } = await saveTransition(order, 'cancelled', req.user, 'Cancelled via delete');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({ message: 'Order cancelled successfully', order });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting order', error: error.message });
+    res.status(500).json({ message: 'Error cancelling order', error: error.message });
   }
 };
 
 module.exports = {
   getOrders,
   createOrder,
+  updateOrder,
+  updateOrderStatus,
+  payOrder,
+  getOrderPayments,
   deleteOrder
 }; 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const { handleWebhook } = require('../services/orderPayments');
+
+// Receive a status callback from a payment provider
+const receiveWebhook = async (req, res) => {
+  try {
+    const { error } = await handleWebhook(req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.json({ received: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Error handling payment webhook', error: error.message });
+  }
+};
+
+module.exports = {
+  receiveWebhook
+};
@@ -0,0 +1,203 @@
+const Article = require('../models/Article');
+const Community = require('../models/Community');
+const RecurringOrder = require('../models/RecurringOrder');
+const { localDayRange } = require('../services/scheduling');
+const { nextRecurringDelivery } = require('../services/recurringOrders');
+
+// Ids of the given items' articles that are not in the catalog
+const findMissingArticles = async (items) => {
+  const ids = items.map(item => item.article.toString());
+  const found = await Article.find({ _id: { $in: ids } }).distinct('_id');
+  const foundIds = new Set(found.map(id => id.toString()));
+  return ids.filter(id => !foundIds.has(id));
+};
+
+// The recurring order with a preview of the delivery it will order for next
+const describeRecurringOrder = async (recurringOrder) => {
+  const community = await Community.findById(recurringOrder.community);
+  const slot = recurringOrder.status === 'active' && community
+    ? nextRecurringDelivery(recurringOrder, community)
+    : null;
+
+  return {
+    ...recurringOrder.toObject(),
+    nextDelivery: slot && {
+      date: slot.date,
+      start: slot.start,
+      orderCutoff: slot.orderCutoff,
+      placeAt: slot.placeAt
+    }
+  };
+};
+
+// Find one of the current user's recurring orders
+const findOwnRecurringOrder = (req) =>
+  RecurringOrder.findOne({ _id: req.params.id, user: req.user._id });
+
+// Get the current user's recurring orders
+const getRecurringOrders = async (req, res) => {
+  try {
+    const recurringOrders = await RecurringOrder.find({ user: req.user._id })
+      .select('-runs')
+      .populate('community', 'name')
+      .sort({ createdAt: -1 });
+    res.json(recurringOrders);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recurring orders', error: error.message });
+  }
+};
+
+// Get a recurring order with its recent runs and next delivery
+const getRecurringOrder = async (req, res) => {
+  try {
+    const recurringOrder = await findOwnRecurringOrder(req);
+    if (!recurringOrder) {
+      return res.status(404).json({ message: 'Recurring order not found' });
+    }
+    res.json(await describeRecurringOrder(recurringOrder));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recurring order', error: error.message });
+  }
+};
+
+// Create a recurring order for the user's community, or the one given
+const createRecurringOrder = async (req, res) => {
+  try {
+    const { items, frequency, startDate, endDate } = req.body;
+
+    const communityId = req.body.community || req.user.community;
+    if (!communityId) {
+      return res.status(400).json({ message: 'Join a community or choose one for the recurring order' });
+    }
+    const community = await Community.findById(communityId);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    const missingArticles = await findMissingArticles(items);
+    if (missingArticles.length > 0) {
+      return res.status(400).json({ message: 'Some articles do not exist', articles: missingArticles });
+    }
+
+    // Dates are whole days in the community's time zone
+    const start = startDate ? localDayRange(community, startDate).start : new Date();
+    const end = endDate ? localDayRange(community, endDate).end : undefined;
+    if (end && end <= start) {
+      return res.status(400).json({ message: 'End date must not be before the start date' });
+    }
+
+    const recurringOrder = new RecurringOrder({
+      user: req.user._id,
+      community: community._id,
+      items,
+      frequency,
+      startDate: start,
+      endDate: end
+    });
+    await recurringOrder.save();
+
+    res.status(201).json(await describeRecurringOrder(recurringOrder));
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating recurring order', error: error.message });
+  }
+};
+
+// Change the items, frequency or end date of a recurring order
+const updateRecurringOrder = async (req, res) => {
+  try {
+    const { items, frequency, endDate } = req.body;
+
+    const recurringOrder = await findOwnRecurringOrder(req);
+    if (!recurringOrder) {
+      return res.status(404).json({ message: 'Recurring order not found' });
+    }
+    if (recurringOrder.status === 'ended') {
+      return res.status(409).json({ message: 'Recurring order has ended' });
+    }
+
+    if (items) {
+      const missingArticles = await findMissingArticles(items);
+      if (missingArticles.length > 0) {
+        return res.status(400).json({ message: 'Some articles do not exist', articles: missingArticles });
+      }
+      recurringOrder.items = items;
+    }
+    if (frequency) {
+      recurringOrder.frequency = frequency;
+    }
+    if (endDate !== undefined) {
+      const community = await Community.findById(recurringOrder.community);
+      const end = endDate === null ? undefined : localDayRange(community || {}, endDate).end;
+      if (end && end <= recurringOrder.startDate) {
+        return res.status(400).json({ message: 'End date must not be before the start date' });
+      }
+      recurringOrder.endDate = end;
+    }
+
+    await recurringOrder.save();
+    res.json(await describeRecurringOrder(recurringOrder));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating recurring order', error: error.message });
+  }
+};
+
+// Stop placing orders until the recurring order is resumed
+const pauseRecurringOrder = async (req, res) => {
+  try {
+    const recurringOrder = await findOwnRecurringOrder(req);
+    if (!recurringOrder) {
+      return res.status(404).json({ message: 'Recurring order not found' });
+    }
+    if (recurringOrder.status !== 'active') {
+      return res.status(409).json({ message: `Cannot pause a recurring order that is ${recurringOrder.status}` });
+    }
+
+    recurringOrder.status = 'paused';
+    await recurringOrder.save();
+    res.json(await describeRecurringOrder(recurringOrder));
+  } catch (error) {
+    res.status(500).json({ message: 'Error pausing recurring order', error: error.message });
+  }
+};
+
+// Pick a paused recurring order up again from the next open delivery
+const resumeRecurringOrder = async (req, res) => {
+  try {
+    const recurringOrder = await findOwnRecurringOrder(req);
+    if (!recurringOrder) {
+      return res.status(404).json({ message: 'Recurring order not found' });
+    }
+    if (recurringOrder.status !== 'paused') {
+      return res.status(409).json({ message: `Cannot resume a recurring order that is ${recurringOrder.status}` });
+    }
+
+    recurringOrder.status = 'active';
+    await recurringOrder.save();
+    res.json(await describeRecurringOrder(recurringOrder));
+  } catch (error) {
+    res.status(500).json({ message: 'Error resuming recurring order', error: error.message });
+  }
+};
+
+// Delete a recurring order; orders already placed from it are kept
+const deleteRecurringOrder = async (req, res) => {
+  try {
+    const recurringOrder = await RecurringOrder.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!recurringOrder) {
+      return res.status(404).json({ message: 'Recurring order not found' });
+    }
+    res.json({ message: 'Recurring order deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting recurring order', error: error.message });
+  }
+};
+
+module.exports = {
+  getRecurringOrders,
+  getRecurringOrder,
+  createRecurringOrder,
+  updateRecurringOrder,
+  pauseRecurringOrder,
+  resumeRecurringOrder,
+  deleteRecurringOrder
+};
@@ -0,0 +1,37 @@
+const User = require('../models/User');
+
+// Change a user's role
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.user._id.equals(req.params.id) && role !== 'admin') {
+      return res.status(400).json({ message: 'Admins cannot demote themselves' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating role', error: error.message });
+  }
+};
+
+module.exports = {
+  updateUserRole
+};
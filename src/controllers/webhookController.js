@@ -0,0 +1,192 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, replayDelivery } = require('../services/webhooks');
+const { parsePageParams, pageEnvelope, parseCursorParams, afterCursor, cursorSort, cursorEnvelope } = require('../services/pagination');
+
+// Fields an admin may set on a webhook subscription
+const editableFields = ['url', 'description', 'events', 'isActive'];
+
+// The subscription with its secret, which is only shown when it is created or rotated
+const withSecret = (subscription, secret) => ({ ...subscription.toObject(), secret });
+
+// Create a webhook subscription with a new signing secret
+const createWebhook = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const subscription = new WebhookSubscription({ secret, createdBy: req.user._id });
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field];
+    }
+
+    await subscription.save();
+    res.status(201).json(withSecret(subscription, secret));
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating webhook', error: error.message });
+  }
+};
+
+// Get webhook subscriptions, newest first
+const getWebhooks = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePageParams(req.query);
+
+    const filter = {};
+    if (req.query.event) {
+      filter.events = req.query.event;
+    }
+
+    const [subscriptions, total] = await Promise.all([
+      WebhookSubscription.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      WebhookSubscription.countDocuments(filter)
+    ]);
+
+    res.json(pageEnvelope(req, { data: subscriptions, total, page, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching webhooks', error: error.message });
+  }
+};
+
+// Get a single webhook subscription
+const getWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    res.json(subscription);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching webhook', error: error.message });
+  }
+};
+
+// Update a webhook subscription; deliveries already queued keep their event
+const updateWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field];
+    }
+
+    await subscription.save();
+    res.json(subscription);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating webhook', error: error.message });
+  }
+};
+
+// Replace a subscription's signing secret; payloads are signed with the new one from now on
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const secret = generateSecret();
+    subscription.secret = secret;
+    await subscription.save();
+    res.json(withSecret(subscription, secret));
+  } catch (error) {
+    res.status(500).json({ message: 'Error rotating webhook secret', error: error.message });
+  }
+};
+
+// Delete a webhook subscription and its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting webhook', error: error.message });
+  }
+};
+
+// Get a subscription's deliveries, newest first
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { limit, cursor } = parseCursorParams(req.query);
+
+    const filter = { subscription: subscription._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const [items, total] = await Promise.all([
+      WebhookDelivery.find({ ...filter, ...afterCursor(cursor, 'createdAt', -1) })
+        .select('-payload')
+        .sort(cursorSort('createdAt', -1))
+        .limit(limit + 1)
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json(cursorEnvelope(req, { items, total, limit, field: 'createdAt' }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching webhook deliveries', error: error.message });
+  }
+};
+
+// Find one of a subscription's deliveries
+const findDelivery = (req) =>
+  WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id });
+
+// Get a delivery with its payload and every attempt
+const getWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching webhook delivery', error: error.message });
+  }
+};
+
+// Send a delivery's event again, e.g. after the receiver was fixed
+const replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription);
+    if (!subscription.isActive) {
+      return res.status(409).json({ message: 'Activate the webhook before replaying its deliveries' });
+    }
+
+    const replay = await replayDelivery(delivery);
+    res.status(201).json(replay);
+  } catch (error) {
+    res.status(500).json({ message: 'Error replaying webhook delivery', error: error.message });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+};
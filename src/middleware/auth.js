@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/tokens');
 
 const auth = async (req, res, next) => {
   try {
@@ -19,8 +20,18 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Reject tokens revoked by logging out everywhere or on this device
+    if ((decoded.tokenVersion ?? 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
     // Add user to request
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -0,0 +1,57 @@
+const { hasPermission } = require('../config/permissions');
+
+// Require the authenticated user to hold a permission (use after auth)
+const can = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      message: `Missing permission: ${permission}`,
+      permission
+    });
+  }
+
+  next();
+};
+
+// Require the authenticated user to have one of the given roles (use after auth)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: `Requires role: ${roles.join(' or ')}`,
+      roles
+    });
+  }
+
+  next();
+};
+
+// Require the authenticated user to have verified their email (use after auth).
+// Set REQUIRE_EMAIL_VERIFICATION=false to switch the check off.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+
+  next();
+};
+
+module.exports = {
+  can,
+  requireRole,
+  requireVerifiedEmail
+};
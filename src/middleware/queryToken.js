@@ -0,0 +1,12 @@
+// Accept the access token as the `access_token` query parameter for clients that
+// cannot set headers, like the browser's EventSource. Use before auth, and only on
+// the routes that need it: URLs end up in logs.
+const queryToken = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.header('Authorization') && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+module.exports = queryToken;
@@ -0,0 +1,83 @@
+const { getDefaultStore } = require('../services/rateLimit');
+
+// Limit how often a client can hit a route. `key` picks who is counted
+// (IP address by default); requests without a key are not limited.
+const rateLimit = ({ name, windowMs, max, key = req => req.ip, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await getDefaultStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+      // Fail open: a broken store should not take the API down
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const retryAfter = Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (counter.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+
+    next();
+  };
+
+const MINUTE = 60 * 1000;
+
+// Overall budget per IP for the whole API
+const apiLimiter = rateLimit({ name: 'api', windowMs: 15 * MINUTE, max: 300 });
+
+// Per-IP budget for unauthenticated auth endpoints (login, register, password reset)
+const authLimiter = rateLimit({ name: 'auth', windowMs: 15 * MINUTE, max: 20 });
+
+// Per-IP budget for refreshing tokens. Clients refresh every time their access
+// token expires, so this is kept apart from (and well above) the auth budget.
+const refreshLimiter = rateLimit({ name: 'auth-refresh', windowMs: 15 * MINUTE, max: 300 });
+
+// Per-account budget for login attempts, whichever IP they come from
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  key: req => typeof req.body?.email === 'string' && req.body.email.toLowerCase(),
+  message: 'Too many login attempts for this account, please try again later'
+});
+
+// Per-user budget for placing orders (use after auth)
+const orderLimiter = rateLimit({
+  name: 'order-create',
+  windowMs: 60 * MINUTE,
+  max: 20,
+  key: req => req.user && req.user._id.toString(),
+  message: 'Too many orders placed, please try again later'
+});
+
+// Per-user budget for voting (use after auth)
+const voteLimiter = rateLimit({
+  name: 'vote',
+  windowMs: 60 * MINUTE,
+  max: 30,
+  key: req => req.user && req.user._id.toString(),
+  message: 'Too many votes cast, please try again later'
+});
+
+module.exports = {
+  rateLimit,
+  apiLimiter,
+  authLimiter,
+  refreshLimiter,
+  loginAccountLimiter,
+  orderLimiter,
+  voteLimiter
+};
@@ -0,0 +1,33 @@
+const { validationResult, param } = require('express-validator');
+
+// Reject the request with a 400 listing every failed validation
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: result.array().map(error => ({
+      field: error.path ?? null,
+      location: error.location ?? null,
+      message: error.msg
+    }))
+  });
+};
+
+// Validation chain for a path param that must be a Mongo ObjectId
+const idParam = (name = 'id') => param(name).isMongoId().withMessage(`Invalid ${name}`);
+
+// Validate path params as Mongo ObjectIds so lookups never see garbage ids
+const validateObjectId = (...names) => [
+  ...(names.length ? names : ['id']).map(idParam),
+  validate
+];
+
+module.exports = {
+  validate,
+  idParam,
+  validateObjectId
+};
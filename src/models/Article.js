@@ -34,6 +34,33 @@ const articleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Units on hand; null means stock is not tracked for this article
+  stock: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: 5
+  },
+  // Discounts unlocked when a community's combined quantity for one delivery
+  // reaches minQuantity; the highest tier reached applies
+  bulkTiers: [{
+    _id: false,
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 2
+    },
+    discountPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,6 +71,13 @@ const articleSchema = new mongoose.Schema({
   }
 });
 
+// Full-text search over the catalog, names weighing more than descriptions
+articleSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 }, name: 'article_text' }
+);
+articleSchema.index({ category: 1, price: 1 });
+
 // Update the updatedAt field before saving
 articleSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -11,11 +11,6 @@ const communitySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
-    },
-    deliveryTime: {
-      type: String,
-      enum: ['Morning', 'Afternoon', 'Evening'],
-      default: 'Morning'
     }
   }],
   preferences: {
@@ -30,6 +25,45 @@ const communitySchema = new mongoose.Schema({
       default: 'Morning'
     }
   },
+  // Default tie-break rule for delivery voting rounds
+  votingTieBreak: {
+    type: String,
+    enum: ['keep-current', 'earliest', 'first-vote'],
+    default: 'keep-current'
+  },
+  // Orders close this many hours before each delivery
+  orderCutoffHours: {
+    type: Number,
+    min: 0,
+    max: 168,
+    default: 24
+  },
+  // What one delivery costs; it is split among the members ordering for it
+  deliveryFee: {
+    mode: {
+      type: String,
+      enum: ['flat', 'distance'],
+      default: 'flat'
+    },
+    // The flat fee, or the base fee when charging by distance
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Added per kilometre between the depot and the community
+    perKm: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
+  // IANA time zone the delivery schedule is expressed in
+  timezone: {
+    type: String,
+    trim: true,
+    default: () => process.env.DEFAULT_TIMEZONE || 'Europe/Amsterdam'
+  },
   location: {
     type: {
       type: String,
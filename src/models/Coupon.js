@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // A percentage off the discounted subtotal, or a fixed amount off it
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Only orders for this community may use the coupon; any community when unset
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Usage limits; null means unlimited
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxUsesPerUser: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Orders currently using the coupon; cancelled orders give their use back
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+couponSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -17,29 +17,183 @@ const orderSchema = new mongoose.Schema({
       ref: 'Article',
       required: true
     },
+    // Snapshot of the article at purchase time, so past orders survive catalog changes
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    unit: {
+      type: String,
+      enum: ['kg', 'g', 'l', 'ml', 'piece', 'pack']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
     quantity: {
       type: Number,
       required: true,
       min: 1
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Price of the items before discounts
+  subtotal: {
+    type: Number
+  },
+  discounts: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['bulk', 'coupon'],
+      required: true
+    },
+    // The article a bulk discount applies to, or the coupon code used
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    },
+    code: String,
+    description: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
     }
   }],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  // This member's share of the community delivery fee
+  deliveryFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Amount charged: subtotal minus discounts plus the delivery fee share
   totalAmount: {
     type: Number,
     required: true
   },
+  // The coupon used, with its terms as they were when the order was placed
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: Number
+  },
   status: {
     type: String,
     enum: ['pending', 'processing', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Whether stock is currently held for this order's items
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'delivered', 'cancelled'],
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Every change made to the items after the order was placed
+  revisions: [{
+    changes: [{
+      article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+      },
+      name: String,
+      quantityBefore: Number,
+      quantityAfter: Number
+    }],
+    totalBefore: Number,
+    totalAfter: Number,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   deliveryDate: {
     type: Date,
     required: true
   },
+  // Where payment for the order stands; mirrors its latest payment
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'pending', 'authorized', 'paid', 'partially_paid', 'failed', 'voided', 'refunded'],
+    default: 'unpaid'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // The recurring order this order was created from, if any
+  recurringOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringOrder'
+  },
+  // Orders can no longer be changed by the customer after this moment
+  cutoffAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // Every save checks the version it read: two requests changing the same order
+  // (e.g. cancelling it twice, or editing it while it is cancelled) cannot both
+  // move its stock, the one that saves last fails with a VersionError
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Past the cutoff the order is locked; older orders without a cutoff lock at delivery.
+// The static also works on lean documents.
+orderSchema.statics.isLocked = (order) => Date.now() >= (order.cutoffAt || order.deliveryDate);
+
+orderSchema.virtual('isLocked').get(function() {
+  return this.constructor.isLocked(this);
 });
 
+orderSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Mail captured by the local outbox transport instead of being sent
+const outboxMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxMessageSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A payment intent for an order at a payment provider
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for the intent
+  providerId: {
+    type: String,
+    required: true
+  },
+  // Amount authorized when the intent was created
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // pending: waiting for the provider to confirm; authorized: funds held until delivery;
+  // captured: money taken; cancelled: authorization released; refunded: money returned
+  status: {
+    type: String,
+    enum: ['pending', 'authorized', 'captured', 'failed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Part of the order total that was not captured because it exceeded the authorized amount
+  shortfall: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String
+  },
+  // Provider callbacks already handled, so a redelivered event is applied only once
+  events: [{
+    _id: false,
+    id: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+paymentSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+paymentSchema.index({ provider: 1, providerId: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// A standing order that is turned into a real order ahead of each community delivery
+const recurringOrderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  items: [{
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Every delivery, every other delivery or every fourth delivery
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'four-weekly'],
+    default: 'weekly'
+  },
+  // First and last day a delivery may be ordered for
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  // Start of the last delivery an order was created for
+  lastDeliveryDate: {
+    type: Date
+  },
+  // What happened on each of the most recent deliveries
+  runs: [{
+    deliveryDate: {
+      type: Date,
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    skipped: [{
+      article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+      },
+      name: String,
+      quantity: Number,
+      reason: String
+    }],
+    error: {
+      type: String
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+recurringOrderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+recurringOrderSchema.index({ user: 1, createdAt: -1 });
+recurringOrderSchema.index({ status: 1, startDate: 1 });
+
+module.exports = mongoose.model('RecurringOrder', recurringOrderSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Positive when stock is added, negative when it is taken out
+  change: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ article: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -21,6 +21,17 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // When the last verification email went out, to throttle resends
+  verificationSentAt: {
+    type: Date
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -31,6 +42,30 @@ const userSchema = new mongoose.Schema({
     ref: 'Community',
     default: null
   },
+  // Consecutive failed logins; reset by a successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Channels chosen per notification type; types left out use their defaults
+  notificationPreferences: [{
+    _id: false,
+    type: {
+      type: String,
+      required: true
+    },
+    inApp: Boolean,
+    email: Boolean
+  }],
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -55,4 +90,35 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login; from the fifth one on the account is locked,
+// for one minute and twice as long with every further failure (at most an hour)
+userSchema.methods.registerFailedLogin = async function() {
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+    const lockMs = Math.min(
+      LOCKOUT_BASE_MS * 2 ** (this.failedLoginAttempts - LOCKOUT_THRESHOLD),
+      LOCKOUT_MAX_MS
+    );
+    this.lockUntil = new Date(Date.now() + lockMs);
+  }
+  await this.save();
+};
+
+// Clear the failed login count after a successful login
+userSchema.methods.registerSuccessfulLogin = async function() {
+  if (this.failedLoginAttempts === 0 && !this.lockUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  await this.save();
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to users, e.g. to reset their password or verify their email
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  // SHA-256 of the token; the raw token is only ever mailed to the user
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
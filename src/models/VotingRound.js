@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const votingRoundSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  // How to pick between options with the same number of votes
+  tieBreak: {
+    type: String,
+    enum: ['keep-current', 'earliest', 'first-vote'],
+    default: 'keep-current'
+  },
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deliveryDay: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    },
+    deliveryTime: {
+      type: String,
+      enum: ['Morning', 'Afternoon', 'Evening']
+    },
+    castAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Filled in when the round closes and the winners are applied to the community
+  result: {
+    deliveryDay: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    },
+    deliveryTime: {
+      type: String,
+      enum: ['Morning', 'Afternoon', 'Evening']
+    },
+    tallies: {
+      deliveryDay: { type: Map, of: Number },
+      deliveryTime: { type: Map, of: Number }
+    },
+    tieBroken: {
+      deliveryDay: Boolean,
+      deliveryTime: Boolean
+    },
+    voteCount: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+votingRoundSchema.index({ community: 1, status: 1 });
+votingRoundSchema.index({ status: 1, closesAt: 1 });
+
+module.exports = mongoose.model('VotingRound', votingRoundSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One event to send to one subscription, with every attempt made to send it
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Id of the event, the same for every delivery and replay of it so receivers
+  // can ignore events they already handled
+  eventId: {
+    type: String,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending: waiting for its next attempt; succeeded: the receiver answered 2xx;
+  // failed: every attempt failed
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: {
+      type: Date,
+      required: true
+    },
+    statusCode: {
+      type: Number
+    },
+    error: {
+      type: String
+    },
+    durationMs: {
+      type: Number
+    }
+  }],
+  deliveredAt: {
+    type: Date
+  },
+  // The delivery this one re-sends
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { webhookEventTypes } = require('../config/webhooks');
+
+// An endpoint that receives the events it subscribed to
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.keys(webhookEventTypes)
+    }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  // Key the payloads are signed with; only shown when it is created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSubscriptionSchema.index({ events: 1, isActive: 1 });
+
+// Update the updatedAt field before saving
+webhookSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   createArticle,
   getAllArticles,
   getArticle,
   updateArticle,
-  deleteArticle
+  deleteArticle,
+  updateStock,
+  getLowStockArticles
 } = require('../controllers/articleController');
 const auth = require('../middleware/auth');
+const { can } = require('../middleware/authorize');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
 
 /**
  * @swagger
@@ -39,6 +43,33 @@ const auth = require('../middleware/auth');
  *           type: string
  *         isAvailable:
  *           type: boolean
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           description: Units on hand; null when stock is not tracked
+ *         lowStockThreshold:
+ *           type: integer
+ *           minimum: 0
+ *           default: 5
+ *         bulkTiers:
+ *           type: array
+ *           description: |
+ *             Discounts unlocked when a community's combined quantity of this article for one delivery
+ *             reaches minQuantity. The highest tier reached applies.
+ *           items:
+ *             type: object
+ *             required:
+ *               - minQuantity
+ *               - discountPercent
+ *             properties:
+ *               minQuantity:
+ *                 type: integer
+ *                 minimum: 2
+ *               discountPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
  */
 
 /**
@@ -59,37 +90,125 @@ const auth = require('../middleware/auth');
  *       201:
  *         description: Article created successfully
  *       400:
- *         description: Invalid input
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', auth, can('article:create'), [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('unit').isIn(['kg', 'g', 'l', 'ml', 'piece', 'pack']).withMessage('Invalid unit'),
   body('category').isIn(['fruits', 'vegetables', 'dairy', 'meat', 'bakery', 'beverages', 'snacks', 'household', 'other']).withMessage('Invalid category'),
   body('description').optional().isString(),
   body('imageUrl').optional().isURL().withMessage('Invalid image URL'),
-  body('isAvailable').optional().isBoolean()
-], createArticle);
+  body('isAvailable').optional().isBoolean(),
+  body('stock').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer'),
+  body('bulkTiers').optional().isArray().withMessage('Bulk tiers must be an array'),
+  body('bulkTiers.*.minQuantity').isInt({ min: 2 }).withMessage('Tier minimum quantity must be at least 2').toInt(),
+  body('bulkTiers.*.discountPercent').isFloat({ min: 0, max: 100 }).withMessage('Tier discount must be between 0 and 100').toFloat()
+], validate, createArticle);
 
 /**
  * @swagger
  * /api/article:
  *   get:
- *     summary: Get all articles
+ *     summary: Search and list articles
  *     tags: [Article]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Full-text search over name and description
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         description: One or more categories, comma separated
+ *         schema:
+ *           type: string
+ *           example: fruits,vegetables
+ *       - in: query
+ *         name: unit
+ *         description: One or more units, comma separated
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         description: Defaults to relevance when searching, name otherwise
+ *         schema:
+ *           type: string
+ *           enum: [relevance, name, -name, price, -price, newest, oldest]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PageEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Article'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', [
+  query('q').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search must be 1 to 100 characters'),
+  query('category').optional().custom(value => value.split(',').every(category =>
+    ['fruits', 'vegetables', 'dairy', 'meat', 'bakery', 'beverages', 'snacks', 'household', 'other'].includes(category)
+  )).withMessage('Invalid category'),
+  query('unit').optional().custom(value => value.split(',').every(unit =>
+    ['kg', 'g', 'l', 'ml', 'piece', 'pack'].includes(unit)
+  )).withMessage('Invalid unit'),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+  query('available').optional().isBoolean().withMessage('available must be true or false'),
+  query('sort').optional().isIn(['relevance', 'name', '-name', 'price', '-price', 'newest', 'oldest']).withMessage('Invalid sort'),
+  query('sort').if(query('q').not().exists()).not().equals('relevance').withMessage('Sorting by relevance needs a search term'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getAllArticles);
+
+/**
+ * @swagger
+ * /api/article/low-stock:
+ *   get:
+ *     summary: Get articles at or below their low-stock threshold
+ *     tags: [Article]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of articles
+ *         description: Articles running low on stock
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Article'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', getAllArticles);
+router.get('/low-stock', auth, can('inventory:manage'), getLowStockArticles);
 
 /**
  * @swagger
@@ -110,10 +229,12 @@ router.get('/', getAllArticles);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Article'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Article not found
  */
-router.get('/:id', getArticle);
+router.get('/:id', validateObjectId(), getArticle);
 
 /**
  * @swagger
@@ -138,18 +259,28 @@ router.get('/:id', getArticle);
  *     responses:
  *       200:
  *         description: Article updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Article not found
  */
-router.put('/:id', auth, [
+router.put('/:id', auth, can('article:update'), [
+  idParam(),
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('unit').optional().isIn(['kg', 'g', 'l', 'ml', 'piece', 'pack']).withMessage('Invalid unit'),
   body('category').optional().isIn(['fruits', 'vegetables', 'dairy', 'meat', 'bakery', 'beverages', 'snacks', 'household', 'other']).withMessage('Invalid category'),
   body('description').optional().isString(),
   body('imageUrl').optional().isURL().withMessage('Invalid image URL'),
-  body('isAvailable').optional().isBoolean()
-], updateArticle);
+  body('isAvailable').optional().isBoolean(),
+  body('stock').not().exists().withMessage('Use the stock endpoint to adjust stock'),
+  body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer'),
+  body('bulkTiers').optional().isArray().withMessage('Bulk tiers must be an array'),
+  body('bulkTiers.*.minQuantity').isInt({ min: 2 }).withMessage('Tier minimum quantity must be at least 2').toInt(),
+  body('bulkTiers.*.discountPercent').isFloat({ min: 0, max: 100 }).withMessage('Tier discount must be between 0 and 100').toFloat()
+], validate, updateArticle);
 
 /**
  * @swagger
@@ -168,9 +299,66 @@ router.put('/:id', auth, [
  *     responses:
  *       200:
  *         description: Article deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Article not found
+ */
+router.delete('/:id', auth, can('article:delete'), validateObjectId(), deleteArticle);
+
+/**
+ * @swagger
+ * /api/article/{id}/stock:
+ *   post:
+ *     summary: Adjust an article's stock
+ *     tags: [Article]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - change
+ *               - reason
+ *             properties:
+ *               change:
+ *                 type: integer
+ *                 description: Units to add (positive) or remove (negative)
+ *                 example: 20
+ *               reason:
+ *                 type: string
+ *                 example: Weekly delivery from supplier
+ *     responses:
+ *       200:
+ *         description: Stock adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Article'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Article not found
+ *       409:
+ *         description: Stock cannot go below zero
  */
-router.delete('/:id', auth, deleteArticle);
+router.post('/:id/stock', auth, can('inventory:manage'), [
+  idParam(),
+  body('change').isInt().not().equals('0').withMessage('Change must be a non-zero integer').toInt(),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], validate, updateStock);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
 const { body } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const auth = require('../middleware/auth');
+const { authLimiter, refreshLimiter, loginAccountLimiter } = require('../middleware/rateLimit');
 
 /**
  * @swagger
@@ -23,6 +37,18 @@ const { body } = require('express-validator');
  *         password:
  *           type: string
  *           minLength: 6
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /api/auth/refresh
+ *         expiresIn:
+ *           type: string
+ *           example: 15m
  */
 
 /**
@@ -40,16 +66,20 @@ const { body } = require('express-validator');
  *     responses:
  *       201:
  *         description: User registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
  *       400:
  *         description: User already exists
  *       500:
  *         description: Server error
  */
-router.post('/register', [
+router.post('/register', authLimiter, [
   body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters long'),
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
-], register);
+], validate, register);
 
 /**
  * @swagger
@@ -75,14 +105,244 @@ router.post('/register', [
  *     responses:
  *       200:
  *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts, or the account is temporarily locked; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/login', [
+router.post('/login', authLimiter, loginAccountLimiter, [
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').notEmpty().withMessage('Password is required')
-], login);
+], validate, login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens rotate: each one can be used once. Presenting an already used
+ *       refresh token revokes every token of that device session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *       429:
+ *         description: Too many refreshes from this address; see the Retry-After header
+ */
+router.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], validate, refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current device
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Always answers the same way, whether or not the email is registered.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the email is registered
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], validate, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Reset tokens are single-use and expire after an hour. All sessions are logged out.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input, or the token is invalid or expired
+ */
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], validate, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change your password
+ *     description: Logs out all other devices and returns a fresh token pair.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], validate, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm your email address
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid input, or the token is invalid or expired
+ */
+router.post('/verify-email', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], validate, verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send the verification email again
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       429:
+ *         description: Requested too soon; see the Retry-After header
+ */
+router.post('/resend-verification', auth, resendVerification);
 
 module.exports = router; 
\ No newline at end of file
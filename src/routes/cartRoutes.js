@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout
+} = require('../controllers/cartController');
+const auth = require('../middleware/auth');
+const { can, requireVerifiedEmail } = require('../middleware/authorize');
+const { orderLimiter } = require('../middleware/rateLimit');
+const { validate, idParam } = require('../middleware/validate');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartLine:
+ *       type: object
+ *       properties:
+ *         article:
+ *           type: string
+ *         name:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [kg, g, l, ml, piece, pack]
+ *         unitPrice:
+ *           type: number
+ *           description: Current catalog price
+ *         quantity:
+ *           type: number
+ *         lineTotal:
+ *           type: number
+ *         available:
+ *           type: boolean
+ *           description: False when the line cannot be ordered as it is
+ *         inStock:
+ *           type: number
+ *           description: Stock left, present when it is short of the quantity
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartLine'
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               article:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         subtotal:
+ *           type: number
+ *           description: Total of the available lines at current prices
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the current user's cart
+ *     description: Prices and availability are looked up live, so they can change between requests.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.get('/', auth, can('order:create'), getCart);
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Empty the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete('/', auth, can('order:create'), clearCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add an article to the cart
+ *     description: Adding an article that is already in the cart increases its quantity.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - article
+ *               - quantity
+ *             properties:
+ *               article:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Article not found
+ */
+router.post('/items', auth, can('order:create'), [
+  body('article').isMongoId().withMessage('Invalid article ID'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+], validate, addCartItem);
+
+/**
+ * @swagger
+ * /api/cart/items/{articleId}:
+ *   put:
+ *     summary: Set the quantity of an article in the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Article is not in the cart
+ *   delete:
+ *     summary: Remove an article from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: articleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Article is not in the cart
+ */
+router.put('/items/:articleId', auth, can('order:create'), [
+  idParam('articleId'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+], validate, updateCartItem);
+
+router.delete('/items/:articleId', auth, can('order:create'), [
+  idParam('articleId')
+], validate, removeCartItem);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Turn the cart into an order
+ *     description: |
+ *       Places an order with the cart's items at current prices and empties the cart in the same step.
+ *       Fails without touching the cart if any item is unavailable or short of stock.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               community:
+ *                 type: string
+ *                 description: Community to deliver to; defaults to the user's community
+ *               deliveryDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the community's next open delivery slot
+ *               snapToNextSlot:
+ *                 type: boolean
+ *                 default: false
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order placed and cart emptied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         description: Empty cart, no community, an unusable coupon, or the delivery date does not match the community's schedule
+ *       403:
+ *         description: Email address not verified, or missing permission
+ *       404:
+ *         description: Community not found
+ *       409:
+ *         description: Some items cannot be ordered, the coupon has been used up, or the cart changed during checkout
+ *       429:
+ *         description: Too many orders placed; see the Retry-After header
+ */
+router.post('/checkout', auth, can('order:create'), requireVerifiedEmail, orderLimiter, [
+  body('community').optional().isMongoId().withMessage('Invalid community ID'),
+  body('deliveryDate').optional().isISO8601().withMessage('Invalid delivery date format'),
+  body('snapToNextSlot').optional().isBoolean().withMessage('snapToNextSlot must be a boolean').toBoolean(),
+  body('couponCode').optional().isString().trim().notEmpty().withMessage('Invalid coupon code')
+], validate, checkout);
+
+module.exports = router;
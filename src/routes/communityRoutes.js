@@ -1,18 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   createCommunity,
   getAllCommunities,
+  getNearbyCommunities,
   getCommunity,
   joinCommunity,
   leaveCommunity,
   getCommunityMembers,
   updatePreferences,
+  openVotingRound,
+  closeVotingRound,
+  getVotingRounds,
   voteForDeliveryTime,
-  getCommunityVotes
+  getCommunityVotes,
+  getDeliverySlots,
+  getOrderingWindow,
+  getPickingList,
+  getPackingSlips
 } = require('../controllers/communityController');
 const auth = require('../middleware/auth');
+const { can, requireVerifiedEmail } = require('../middleware/authorize');
+const { voteLimiter } = require('../middleware/rateLimit');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
+const { isValidTimeZone } = require('../services/scheduling');
+const { isValidCursor } = require('../services/pagination');
 
 /**
  * @swagger
@@ -31,10 +44,6 @@ const auth = require('../middleware/auth');
  *               user:
  *                 type: string
  *                 description: The ID of the user
- *               deliveryTime:
- *                 type: string
- *                 enum: [Morning, Afternoon, Evening]
- *                 description: The user's preferred delivery time
  *         preferences:
  *           type: object
  *           properties:
@@ -44,6 +53,18 @@ const auth = require('../middleware/auth');
  *             deliveryTime:
  *               type: string
  *               enum: [Morning, Afternoon, Evening]
+ *         timezone:
+ *           type: string
+ *           example: Europe/Amsterdam
+ *         orderCutoffHours:
+ *           type: number
+ *           description: Orders close this many hours before each delivery
+ *         votingTieBreak:
+ *           type: string
+ *           enum: [keep-current, earliest, first-vote]
+ *           description: Default tie-break rule for voting rounds
+ *         deliveryFee:
+ *           $ref: '#/components/schemas/DeliveryFee'
  *         location:
  *           type: object
  *           properties:
@@ -54,6 +75,121 @@ const auth = require('../middleware/auth');
  *               type: array
  *               items:
  *                 type: number
+ *     CommunityPreferences:
+ *       type: object
+ *       properties:
+ *         deliveryDay:
+ *           type: string
+ *           enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *         deliveryTime:
+ *           type: string
+ *           enum: [Morning, Afternoon, Evening]
+ *     VotingRound:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         opensAt:
+ *           type: string
+ *           format: date-time
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *         tieBreak:
+ *           type: string
+ *           enum: [keep-current, earliest, first-vote]
+ *         voteCount:
+ *           type: integer
+ *         tallies:
+ *           type: object
+ *           properties:
+ *             deliveryDay:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *             deliveryTime:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *         votes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: object
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *               deliveryDay:
+ *                 type: string
+ *               deliveryTime:
+ *                 type: string
+ *               castAt:
+ *                 type: string
+ *                 format: date-time
+ *         result:
+ *           type: object
+ *           description: Set once the round has closed
+ *           properties:
+ *             deliveryDay:
+ *               type: string
+ *             deliveryTime:
+ *               type: string
+ *             tieBroken:
+ *               type: object
+ *               properties:
+ *                 deliveryDay:
+ *                   type: boolean
+ *                 deliveryTime:
+ *                   type: boolean
+ *             voteCount:
+ *               type: integer
+ *     DeliveryFee:
+ *       type: object
+ *       description: What one delivery costs; it is split equally among the members ordering for it
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [flat, distance]
+ *           default: flat
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *           description: The flat fee, or the base fee when charging by distance
+ *         perKm:
+ *           type: number
+ *           minimum: 0
+ *           description: Added per kilometre between the depot (DEPOT_LOCATION) and the community
+ *     DeliverySlot:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Local delivery date
+ *         deliveryDay:
+ *           type: string
+ *         deliveryTime:
+ *           type: string
+ *           enum: [Morning, Afternoon, Evening]
+ *         timeZone:
+ *           type: string
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *         orderCutoff:
+ *           type: string
+ *           format: date-time
+ *           description: Orders for this delivery close at this moment
  *     CommunityCreate:
  *       type: object
  *       required:
@@ -62,6 +198,16 @@ const auth = require('../middleware/auth');
  *       properties:
  *         name:
  *           type: string
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone of the delivery schedule
+ *           default: Europe/Amsterdam
+ *         orderCutoffHours:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 168
+ *           default: 24
+ *           description: Orders close this many hours before each delivery
  *         location:
  *           type: object
  *           required:
@@ -102,35 +248,169 @@ const auth = require('../middleware/auth');
  *             schema:
  *               $ref: '#/components/schemas/Community'
  *       400:
- *         description: Invalid input
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Email address not verified, or missing permission
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
+router.post('/', auth, can('community:create'), requireVerifiedEmail, [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
   body('location.coordinates.*').isFloat().withMessage('Coordinates must be numbers'),
-], createCommunity);
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('orderCutoffHours').optional().isFloat({ min: 0, max: 168 }).withMessage('Order cutoff must be between 0 and 168 hours'),
+], validate, createCommunity);
 
 /**
  * @swagger
  * /api/community:
  *   get:
- *     summary: Get all communities
+ *     summary: List communities
+ *     description: Sorted by name. Members are summarised as memberCount; use /{id}/members for the list.
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         description: Case-insensitive match on part of the name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deliveryDay
+ *         schema:
+ *           type: string
+ *           enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *       - in: query
+ *         name: deliveryTime
+ *         schema:
+ *           type: string
+ *           enum: [Morning, Afternoon, Evening]
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of communities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CursorEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           memberCount:
+ *                             type: integer
+ *                           preferences:
+ *                             $ref: '#/components/schemas/CommunityPreferences'
+ *                           location:
+ *                             type: object
+ *                           timezone:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, can('community:read'), [
+  query('name').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+  query('deliveryDay').optional().isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid delivery day'),
+  query('deliveryTime').optional().isIn(['Morning', 'Afternoon', 'Evening'])
+    .withMessage('Invalid delivery time'),
+  query('cursor').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getAllCommunities);
+
+/**
+ * @swagger
+ * /api/community/nearby:
+ *   get:
+ *     summary: Find communities near a location
+ *     description: Returns communities within the radius, closest first, with their distance in meters.
  *     tags: [Community]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *       - in: query
+ *         name: radius
+ *         description: Search radius in meters
+ *         schema:
+ *           type: number
+ *           default: 5000
+ *           maximum: 50000
+ *       - in: query
+ *         name: deliveryDay
+ *         description: Only return communities delivering on this day
+ *         schema:
+ *           type: string
+ *           enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: List of communities
+ *         description: Nearby communities sorted by distance
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Community'
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   distance:
+ *                     type: number
+ *                     description: Distance in meters
+ *                   memberCount:
+ *                     type: integer
+ *                   preferences:
+ *                     type: object
+ *                     properties:
+ *                       deliveryDay:
+ *                         type: string
+ *                       deliveryTime:
+ *                         type: string
+ *                   location:
+ *                     type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllCommunities);
+router.get('/nearby', auth, can('community:read'), [
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('radius').optional().isFloat({ min: 1, max: 50000 }).withMessage('Radius must be between 1 and 50000 meters'),
+  query('deliveryDay').optional().isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid delivery day'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getNearbyCommunities);
 
 /**
  * @swagger
@@ -153,8 +433,10 @@ router.get('/', auth, getAllCommunities);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Community'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getCommunity);
+router.get('/:id', auth, can('community:read'), validateObjectId(), getCommunity);
 
 /**
  * @swagger
@@ -173,8 +455,12 @@ router.get('/:id', auth, getCommunity);
  *     responses:
  *       200:
  *         description: Successfully joined the community
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Email address not verified, or missing permission
  */
-router.post('/:id/join', auth, joinCommunity);
+router.post('/:id/join', auth, can('community:join'), requireVerifiedEmail, validateObjectId(), joinCommunity);
 
 /**
  * @swagger
@@ -193,8 +479,10 @@ router.post('/:id/join', auth, joinCommunity);
  *     responses:
  *       200:
  *         description: Successfully left the community
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/:id/leave', auth, leaveCommunity);
+router.post('/:id/leave', auth, can('community:join'), validateObjectId(), leaveCommunity);
 
 /**
  * @swagger
@@ -213,14 +501,17 @@ router.post('/:id/leave', auth, leaveCommunity);
  *     responses:
  *       200:
  *         description: List of community members
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id/members', auth, getCommunityMembers);
+router.get('/:id/members', auth, can('community:read'), validateObjectId(), getCommunityMembers);
 
 /**
  * @swagger
  * /api/community/{id}/preferences:
  *   put:
  *     summary: Update community preferences
+ *     description: Admin override; members normally change the delivery day and time through voting rounds.
  *     tags: [Community]
  *     security:
  *       - bearerAuth: []
@@ -242,21 +533,49 @@ router.get('/:id/members', auth, getCommunityMembers);
  *                 enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
  *               deliveryTime:
  *                 type: string
- *                 pattern: '^([01]\d|2[0-3]):([0-5]\d)$'
+ *                 enum: [Morning, Afternoon, Evening]
+ *               orderCutoffHours:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 168
+ *               votingTieBreak:
+ *                 type: string
+ *                 enum: [keep-current, earliest, first-vote]
+ *               deliveryFee:
+ *                 $ref: '#/components/schemas/DeliveryFee'
  *     responses:
  *       200:
- *         description: Preferences updated successfully
+ *         description: Preferences updated successfully; pending orders of upcoming deliveries are re-split with the new fee
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put('/:id/preferences', auth, [
-  body('deliveryDay').isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']),
-  body('deliveryTime').matches(/^([01]\d|2[0-3]):([0-5]\d)$/).withMessage('Time must be in HH:MM format')
-], updatePreferences);
+router.put('/:id/preferences', auth, can('community:update'), [
+  idParam(),
+  body('deliveryDay').isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid delivery day'),
+  body('deliveryTime').isIn(['Morning', 'Afternoon', 'Evening'])
+    .withMessage('Invalid delivery time'),
+  body('orderCutoffHours').optional().isFloat({ min: 0, max: 168 }).withMessage('Order cutoff must be between 0 and 168 hours'),
+  body('votingTieBreak').optional().isIn(['keep-current', 'earliest', 'first-vote']).withMessage('Invalid tie-break rule'),
+  body('deliveryFee').optional().isObject().withMessage('Delivery fee must be an object'),
+  body('deliveryFee.mode').optional().isIn(['flat', 'distance']).withMessage('Delivery fee mode must be flat or distance'),
+  body('deliveryFee.amount').optional().isFloat({ min: 0 }).withMessage('Delivery fee amount must be a positive number').toFloat(),
+  body('deliveryFee.perKm').optional().isFloat({ min: 0 }).withMessage('Delivery fee per km must be a positive number').toFloat()
+], validate, updatePreferences);
 
 /**
  * @swagger
- * /api/community/{id}/vote:
+ * /api/community/{id}/voting-rounds:
  *   post:
- *     summary: Vote for delivery time
+ *     summary: Open a voting round on delivery day and time
+ *     description: |
+ *       Members vote until the round closes; only then is the winning day and time
+ *       applied to the community's preferences. Ties are settled by the tie-break rule:
+ *       keep-current keeps the current value if it is among the leaders (else the earliest),
+ *       earliest picks the earliest day or time, first-vote picks the option that reached
+ *       the winning count first.
  *     tags: [Community]
  *     security:
  *       - bearerAuth: []
@@ -273,8 +592,112 @@ router.put('/:id/preferences', auth, [
  *           schema:
  *             type: object
  *             required:
- *               - deliveryTime
+ *               - closesAt
  *             properties:
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               tieBreak:
+ *                 type: string
+ *                 enum: [keep-current, earliest, first-vote]
+ *                 description: Defaults to the community's votingTieBreak
+ *     responses:
+ *       201:
+ *         description: Voting round opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VotingRound'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not a member of the community
+ *       404:
+ *         description: Community not found
+ *       409:
+ *         description: A voting round is already open
+ *   get:
+ *     summary: Get the community's voting rounds
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voting rounds, newest first, without individual votes
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/voting-rounds', auth, can('community:vote'), [
+  idParam(),
+  body('opensAt').optional().isISO8601().withMessage('Invalid opening date format'),
+  body('closesAt').isISO8601().withMessage('Invalid closing date format'),
+  body('tieBreak').optional().isIn(['keep-current', 'earliest', 'first-vote']).withMessage('Invalid tie-break rule')
+], validate, openVotingRound);
+
+router.get('/:id/voting-rounds', auth, can('community:read'), validateObjectId(), getVotingRounds);
+
+/**
+ * @swagger
+ * /api/community/{id}/voting-rounds/current/close:
+ *   post:
+ *     summary: Close the open voting round now and apply its result
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voting round closed and preferences updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No open voting round
+ */
+router.post('/:id/voting-rounds/current/close', auth, can('community:update'), validateObjectId(), closeVotingRound);
+
+/**
+ * @swagger
+ * /api/community/{id}/vote:
+ *   post:
+ *     summary: Vote for delivery day and time in the open round
+ *     description: Voting again replaces your previous vote in the round.
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryDay:
+ *                 type: string
+ *                 enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *                 example: "Friday"
  *               deliveryTime:
  *                 type: string
  *                 enum: [Morning, Afternoon, Evening]
@@ -290,47 +713,40 @@ router.put('/:id/preferences', auth, [
  *                 message:
  *                   type: string
  *                 preferences:
- *                   type: object
- *                   properties:
- *                     deliveryTime:
- *                       type: string
- *                       enum: [Morning, Afternoon, Evening]
- *                 members:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       user:
- *                         type: object
- *                         properties:
- *                           username:
- *                             type: string
- *                           email:
- *                             type: string
- *                       deliveryTime:
- *                         type: string
- *                         enum: [Morning, Afternoon, Evening]
+ *                   $ref: '#/components/schemas/CommunityPreferences'
+ *                 round:
+ *                   $ref: '#/components/schemas/VotingRound'
  *       400:
- *         description: Invalid input
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Not a member of the community
  *       404:
  *         description: Community not found
+ *       409:
+ *         description: No voting round is open, or it closed before the vote was recorded
+ *       429:
+ *         description: Too many votes cast; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/:id/vote', auth, [
-  body('deliveryTime').isIn(['Morning', 'Afternoon', 'Evening'])
-    .withMessage('Invalid delivery time')
-], voteForDeliveryTime);
+router.post('/:id/vote', auth, can('community:vote'), voteLimiter, [
+  idParam(),
+  body('deliveryDay').optional().isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid delivery day'),
+  body('deliveryTime').optional().isIn(['Morning', 'Afternoon', 'Evening'])
+    .withMessage('Invalid delivery time'),
+  body().custom(value => value && (value.deliveryDay || value.deliveryTime))
+    .withMessage('Vote for a delivery day, a delivery time or both')
+], validate, voteForDeliveryTime);
 
 /**
  * @swagger
  * /api/community/{id}/votes:
  *   get:
  *     summary: Get community votes
+ *     description: Current preferences and the live tallies of the open round, if any.
  *     tags: [Community]
  *     security:
  *       - bearerAuth: []
@@ -349,12 +765,231 @@ router.post('/:id/vote', auth, [
  *               type: object
  *               properties:
  *                 preferences:
- *                   type: object
- *                   properties:
- *                     deliveryTime:
- *                       type: string
- *                       enum: [Morning, Afternoon, Evening]
- *                 members:
+ *                   $ref: '#/components/schemas/CommunityPreferences'
+ *                 round:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/VotingRound'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Community not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/votes', auth, can('community:read'), validateObjectId(), getCommunityVotes);
+
+/**
+ * @swagger
+ * /api/community/{id}/delivery-slots:
+ *   get:
+ *     summary: Get the community's upcoming delivery slots
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *           maximum: 12
+ *     responses:
+ *       200:
+ *         description: Upcoming delivery slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeliverySlot'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Community not found
+ */
+router.get('/:id/delivery-slots', auth, can('community:read'), [
+  idParam(),
+  query('count').optional().isInt({ min: 1, max: 12 }).withMessage('Count must be between 1 and 12')
+], validate, getDeliverySlots);
+
+/**
+ * @swagger
+ * /api/community/{id}/ordering-window:
+ *   get:
+ *     summary: Get when ordering for the next delivery closes
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current ordering window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cutoffHours:
+ *                   type: number
+ *                 nextDelivery:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/DeliverySlot'
+ *                     - type: object
+ *                       properties:
+ *                         isLocked:
+ *                           type: boolean
+ *                           description: True when the cutoff for this delivery has passed
+ *                 openDelivery:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/DeliverySlot'
+ *                     - type: object
+ *                       properties:
+ *                         deliveryFee:
+ *                           type: object
+ *                           description: The delivery fee and how it is currently shared
+ *                           properties:
+ *                             total:
+ *                               type: number
+ *                             members:
+ *                               type: integer
+ *                               description: Members with an order for this delivery
+ *                             share:
+ *                               type: number
+ *                               description: What each of them pays
+ *                             shareWithOneMore:
+ *                               type: number
+ *                               description: What each would pay if one more member ordered
+ *                 closesAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Community not found
+ */
+router.get('/:id/ordering-window', auth, can('community:read'), validateObjectId(), getOrderingWindow);
+
+/**
+ * @swagger
+ * /api/community/{id}/picking-list:
+ *   get:
+ *     summary: Get the consolidated picking list for a delivery
+ *     description: Totals every member's order for the delivery date per article, with a per-member breakdown.
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deliveryDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Picking list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveryDate:
+ *                   type: string
+ *                   format: date
+ *                 orderCount:
+ *                   type: integer
+ *                 memberCount:
+ *                   type: integer
+ *                 totalValue:
+ *                   type: number
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       article:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       unit:
+ *                         type: string
+ *                       totalQuantity:
+ *                         type: integer
+ *                       totalValue:
+ *                         type: number
+ *                       members:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             user:
+ *                               type: string
+ *                             username:
+ *                               type: string
+ *                             quantity:
+ *                               type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Community not found
+ */
+router.get('/:id/picking-list', auth, can('order:manage'), [
+  idParam(),
+  query('deliveryDate').isISO8601().withMessage('Invalid delivery date format')
+], validate, getPickingList);
+
+/**
+ * @swagger
+ * /api/community/{id}/packing-slips:
+ *   get:
+ *     summary: Get a packing slip per member for a delivery
+ *     tags: [Community]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deliveryDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Packing slips
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveryDate:
+ *                   type: string
+ *                   format: date
+ *                 slips:
  *                   type: array
  *                   items:
  *                     type: object
@@ -362,20 +997,43 @@ router.post('/:id/vote', auth, [
  *                       user:
  *                         type: object
  *                         properties:
+ *                           _id:
+ *                             type: string
  *                           username:
  *                             type: string
  *                           email:
  *                             type: string
- *                       deliveryTime:
- *                         type: string
- *                         enum: [Morning, Afternoon, Evening]
- *       401:
- *         description: Unauthorized
+ *                       orders:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             article:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             unit:
+ *                               type: string
+ *                             quantity:
+ *                               type: integer
+ *                             lineTotal:
+ *                               type: number
+ *                       totalAmount:
+ *                         type: number
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Community not found
- *       500:
- *         description: Server error
  */
-router.get('/:id/votes', auth, getCommunityVotes);
+router.get('/:id/packing-slips', auth, can('order:manage'), [
+  idParam(),
+  query('deliveryDate').isISO8601().withMessage('Invalid delivery date format')
+], validate, getPackingSlips);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const auth = require('../middleware/auth');
+const { can } = require('../middleware/authorize');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
+
+// Validation for the coupon terms shared by create and update
+const couponTermRules = [
+  body('description').optional().isString().trim(),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number').toFloat(),
+  body('community').optional({ values: 'null' }).isMongoId().withMessage('Invalid community ID'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be a positive number').toFloat(),
+  body('validFrom').optional({ values: 'null' }).isISO8601().withMessage('Invalid validFrom date format'),
+  body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('Invalid validUntil date format'),
+  body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxUses must be a positive integer').toInt(),
+  body('maxUsesPerUser').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxUsesPerUser must be a positive integer').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *         - value
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Stored in upper case; codes are matched case-insensitively
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *           description: A percentage off, or a fixed amount off, the subtotal left after bulk discounts
+ *         value:
+ *           type: number
+ *           minimum: 0
+ *         community:
+ *           type: string
+ *           nullable: true
+ *           description: Restrict the coupon to orders for one community
+ *         minSubtotal:
+ *           type: number
+ *           default: 0
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *           description: Total number of orders that may use the coupon; null for unlimited
+ *         maxUsesPerUser:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of orders each user may use the coupon on; null for unlimited
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Orders using the coupon; cancelling an order gives its use back
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/coupon:
+ *   get:
+ *     summary: Get coupons
+ *     tags: [Coupon]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of coupons, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PageEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Coupon'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupon]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A coupon with this code already exists
+ */
+router.get('/', auth, can('coupon:manage'), [
+  query('active').optional().isBoolean().withMessage('active must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getCoupons);
+
+router.post('/', auth, can('coupon:manage'), [
+  body('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3 to 32 letters, digits, dashes or underscores'),
+  body('type').isIn(['percentage', 'fixed']).withMessage('Type must be percentage or fixed'),
+  body('value').exists().withMessage('Value is required'),
+  ...couponTermRules
+], validate, createCoupon);
+
+/**
+ * @swagger
+ * /api/coupon/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupon]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon
+ *     description: The code cannot be changed. Orders already placed keep the terms they were given.
+ *     tags: [Coupon]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: The updated coupon
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete a coupon
+ *     description: Orders that used the coupon keep their discount.
+ *     tags: [Coupon]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', auth, can('coupon:manage'), validateObjectId(), getCoupon);
+
+router.put('/:id', auth, can('coupon:manage'), [
+  idParam(),
+  body('code').not().exists().withMessage('Coupon codes cannot be changed'),
+  body('usedCount').not().exists().withMessage('usedCount is maintained by orders'),
+  body('type').optional().isIn(['percentage', 'fixed']).withMessage('Type must be percentage or fixed'),
+  ...couponTermRules
+], validate, updateCoupon);
+
+router.delete('/:id', auth, can('coupon:manage'), validateObjectId(), deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { streamLiveUpdates } = require('../controllers/liveController');
+const auth = require('../middleware/auth');
+const { can } = require('../middleware/authorize');
+const queryToken = require('../middleware/queryToken');
+const { validate } = require('../middleware/validate');
+
+// Each topic is `orders` or `community:<id>`
+const isValidTopicList = (value) => value.split(',').map(name => name.trim()).filter(Boolean)
+  .every(name => name === 'orders' || /^community:[0-9a-f]{24}$/i.test(name));
+
+/**
+ * @swagger
+ * /api/live:
+ *   get:
+ *     summary: Stream live community and order events
+ *     description: |
+ *       A Server-Sent Events stream (`text/event-stream`). Each event's name is its type:
+ *       `community.member_joined`, `community.member_left`, `community.vote_cast`,
+ *       `community.voting_opened`, `community.voting_closed`, `community.delivery_changed`
+ *       and `order.status_changed`; its data is the event as JSON with the `topic` it was sent to.
+ *
+ *       The stream starts with a `ready` event listing the topics followed. A client that
+ *       reconnects with the id of the last event it received (the `Last-Event-ID` header, which
+ *       EventSource sends by itself, or `lastEventId`) first gets the events it missed, or a
+ *       `reset` event when they are no longer available and it should reload its state.
+ *
+ *       Browsers' EventSource cannot set headers, so the access token may be passed as
+ *       `access_token`. The stream sends `token-expired` and closes when the token expires;
+ *       reconnect with a fresh token and `lastEventId`.
+ *     tags: [Live]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topics
+ *         description: |
+ *           Comma-separated topics: `orders` for your own orders, `community:<id>` for a community
+ *           you are a member of. Defaults to your community and your orders.
+ *         schema:
+ *           type: string
+ *         example: orders,community:64b7f0c2e1a2b3c4d5e6f708
+ *       - in: query
+ *         name: lastEventId
+ *         description: Id of the last event received, to replay the events missed since
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: access_token
+ *         description: Access token, for clients that cannot send the Authorization header
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not a member of a requested community
+ *       404:
+ *         description: Community not found
+ */
+router.get('/', queryToken, auth, can('community:read'), [
+  query('topics').optional().isString().custom(isValidTopicList).withMessage('Topics must be orders or community:<id>'),
+  query('lastEventId').optional().isString().withMessage('Invalid lastEventId')
+], validate, streamLiveUpdates);
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+const { validate, validateObjectId } = require('../middleware/validate');
+const { isValidCursor } = require('../services/pagination');
+const { notificationTypes } = require('../config/notifications');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [community.member_joined, community.voting_opened, community.delivery_changed, order.status_changed, order.payment_shortfall]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: What the notification is about
+ *           properties:
+ *             community:
+ *               type: string
+ *             order:
+ *               type: string
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreferences:
+ *       type: object
+ *       description: Channels per notification type, keyed by type
+ *       additionalProperties:
+ *         type: object
+ *         properties:
+ *           description:
+ *             type: string
+ *           inApp:
+ *             type: boolean
+ *           email:
+ *             type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's notifications
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         description: Only unread notifications
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CursorEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, [
+  query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+  query('cursor').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get('/unread-count', auth, getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.post('/read-all', auth, markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the channels each notification type is delivered on
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences per type, defaults included
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *   put:
+ *     summary: Choose the channels for notification types
+ *     description: Types left out keep their current channels.
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     inApp:
+ *                       type: boolean
+ *                     email:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/preferences', auth, getNotificationPreferences);
+
+router.put('/preferences', auth, [
+  body('preferences').isArray({ min: 1 }).withMessage('Preferences must be a non-empty array'),
+  body('preferences.*.type').isIn(Object.keys(notificationTypes)).withMessage('Unknown notification type'),
+  body('preferences.*.inApp').optional().isBoolean().withMessage('inApp must be a boolean').toBoolean(),
+  body('preferences.*.email').optional().isBoolean().withMessage('email must be a boolean').toBoolean()
+], validate, updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The notification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', auth, validateObjectId(), markNotificationRead);
+
+module.exports = router;
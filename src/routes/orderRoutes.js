@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { getOrders, createOrder, deleteOrder } = require('../controllers/orderController');
+const { body, query } = require('express-validator');
+const { getOrders, createOrder, updateOrder, updateOrderStatus, payOrder, getOrderPayments, deleteOrder } = require('../controllers/orderController');
 const auth = require('../middleware/auth');
+const { can, requireVerifiedEmail } = require('../middleware/authorize');
+const { orderLimiter } = require('../middleware/rateLimit');
+const { isValidCursor } = require('../services/pagination');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
 
 /**
  * @swagger
@@ -26,7 +30,6 @@ const auth = require('../middleware/auth');
  *       required:
  *         - items
  *         - community
- *         - deliveryDate
  *       properties:
  *         items:
  *           type: array
@@ -38,7 +41,16 @@ const auth = require('../middleware/auth');
  *         deliveryDate:
  *           type: string
  *           format: date-time
- *           description: Expected delivery date
+ *           description: |
+ *             Requested delivery date. Must fall on one of the community's upcoming delivery slots;
+ *             a date-only value is read in the community's time zone. Defaults to the next slot.
+ *         snapToNextSlot:
+ *           type: boolean
+ *           default: false
+ *           description: Move a deliveryDate that does not match the schedule to the next valid slot instead of rejecting it
+ *         couponCode:
+ *           type: string
+ *           description: Coupon to apply to the order
  *         status:
  *           type: string
  *           enum: [pending, processing, delivered, cancelled]
@@ -47,6 +59,69 @@ const auth = require('../middleware/auth');
  *         totalAmount:
  *           type: number
  *           description: Total amount of the order
+ *     OrderStatusChange:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, delivered, cancelled]
+ *         changedBy:
+ *           type: string
+ *           description: ID of the user who changed the status
+ *         note:
+ *           type: string
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *     OrderDiscount:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [bulk, coupon]
+ *           description: |
+ *             bulk discounts come from an article's tiers once the community's combined quantity for the
+ *             delivery reaches them; they can grow, but never shrink, as more orders come in
+ *         article:
+ *           type: string
+ *           description: Article a bulk discount applies to
+ *         code:
+ *           type: string
+ *           description: Coupon code of a coupon discount
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *     OrderRevision:
+ *       type: object
+ *       properties:
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               article:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantityBefore:
+ *                 type: number
+ *                 description: 0 when the article was added
+ *               quantityAfter:
+ *                 type: number
+ *                 description: 0 when the article was removed
+ *         totalBefore:
+ *           type: number
+ *         totalAfter:
+ *           type: number
+ *         changedBy:
+ *           type: string
+ *           description: ID of the user who made the change
+ *         note:
+ *           type: string
+ *         changedAt:
+ *           type: string
+ *           format: date-time
  *     OrderResponse:
  *       type: object
  *       properties:
@@ -62,20 +137,74 @@ const auth = require('../middleware/auth');
  *             type: object
  *             properties:
  *               article:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                   name:
- *                     type: string
- *                   price:
- *                     type: number
+ *                 type: string
+ *                 description: ID of the ordered article
+ *               name:
+ *                 type: string
+ *                 description: Article name at purchase time
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, g, l, ml, piece, pack]
+ *               unitPrice:
+ *                 type: number
+ *                 description: Article price at purchase time
  *               quantity:
  *                 type: number
+ *               lineTotal:
+ *                 type: number
+ *                 description: unitPrice multiplied by quantity
+ *         subtotal:
+ *           type: number
+ *           description: Sum of the line totals, before discounts
+ *         discounts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderDiscount'
+ *         discountTotal:
+ *           type: number
+ *         deliveryFee:
+ *           type: number
+ *           description: |
+ *             This member's share of the community delivery fee. It changes as members place or cancel
+ *             orders for the same delivery, until the order leaves pending or a payment is started for it.
  *         totalAmount:
  *           type: number
+ *           description: Amount charged, subtotal minus discounts plus the delivery fee share
+ *         coupon:
+ *           type: object
+ *           description: The coupon used and its terms when the order was placed
+ *           properties:
+ *             code:
+ *               type: string
+ *             type:
+ *               type: string
+ *               enum: [percentage, fixed]
+ *             value:
+ *               type: number
  *         status:
  *           type: string
+ *         paymentStatus:
+ *           type: string
+ *           enum: [unpaid, pending, authorized, paid, partially_paid, failed, voided, refunded]
+ *           description: |
+ *             Authorized payments are captured when the order is delivered, and released or
+ *             refunded when it is cancelled. partially_paid means the total grew past the
+ *             authorized amount; see the payment's shortfall. The rest can be paid with a new payment.
+ *         cutoffAt:
+ *           type: string
+ *           format: date-time
+ *           description: Customer changes close at this moment
+ *         isLocked:
+ *           type: boolean
+ *           description: True once the cutoff has passed
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusChange'
+ *         revisions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderRevision'
  *         deliveryDate:
  *           type: string
  *           format: date-time
@@ -88,21 +217,63 @@ const auth = require('../middleware/auth');
  * @swagger
  * /api/order:
  *   get:
- *     summary: Get all orders for the current user
+ *     summary: Get the current user's orders
+ *     description: Newest first. Items in the list omit the status history and revisions.
  *     tags: [Order]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: One or more statuses, comma separated
+ *         schema:
+ *           type: string
+ *           example: pending,processing
+ *       - in: query
+ *         name: community
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Earliest delivery date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Latest delivery date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/limit'
  *     responses:
  *       200:
- *         description: List of orders
+ *         description: A page of orders
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CursorEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getOrders);
+router.get('/', auth, can('order:read'), [
+  query('status').optional().custom(value => value.split(',').every(status =>
+    ['pending', 'processing', 'delivered', 'cancelled'].includes(status)
+  )).withMessage('Invalid status'),
+  query('community').optional().isMongoId().withMessage('Invalid community ID'),
+  query('from').optional().isISO8601().withMessage('Invalid from date format'),
+  query('to').optional().isISO8601().withMessage('Invalid to date format'),
+  query('cursor').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getOrders);
 
 /**
  * @swagger
@@ -126,23 +297,236 @@ router.get('/', auth, getOrders);
  *             schema:
  *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, an unusable coupon, or the delivery date does not match the community's schedule
+ *       403:
+ *         description: Email address not verified, or missing permission
+ *       404:
+ *         description: Community not found
+ *       409:
+ *         description: One or more items cannot be fulfilled from stock, or the coupon has been used up
+ *       429:
+ *         description: Too many orders placed; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/', auth, [
-  body('items').isArray().withMessage('Items must be an array'),
+router.post('/', auth, can('order:create'), requireVerifiedEmail, orderLimiter, [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
   body('items.*.article').isMongoId().withMessage('Invalid article ID'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
   body('community').isMongoId().withMessage('Invalid community ID'),
-  body('deliveryDate').isISO8601().withMessage('Invalid delivery date format')
-], createOrder);
+  body('deliveryDate').optional().isISO8601().withMessage('Invalid delivery date format'),
+  body('snapToNextSlot').optional().isBoolean().withMessage('snapToNextSlot must be a boolean').toBoolean(),
+  body('couponCode').optional().isString().trim().notEmpty().withMessage('Invalid coupon code')
+], validate, createOrder);
+
+/**
+ * @swagger
+ * /api/order/{id}:
+ *   patch:
+ *     summary: Change the items of a pending order
+ *     description: |
+ *       Each change sets the quantity of an article: an article not yet in the order is added and a
+ *       quantity of 0 removes it. Items left out are kept. All lines are re-priced at current prices,
+ *       bulk tiers and the order's coupon are applied again, stock reservations follow the new quantities and the change is recorded in the order's revisions.
+ *       Customers can edit until the community's order cutoff; admins until the order is processed.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - article
+ *                     - quantity
+ *                   properties:
+ *                     article:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         description: Invalid input, unknown articles, or no items left
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not pending, is locked or has a payment pending or authorized, or an item cannot be fulfilled from stock
+ */
+router.patch('/:id', auth, can('order:update'), [
+  idParam(),
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.article').isMongoId().withMessage('Invalid article ID'),
+  body('items.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be 0 or more').toInt(),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], validate, updateOrder);
+
+/**
+ * @swagger
+ * /api/order/{id}/status:
+ *   patch:
+ *     summary: Change the status of an order
+ *     description: |
+ *       Customers can cancel their own orders while they are pending.
+ *       Admins move orders to processing and delivered, and can cancel until delivery.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [processing, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not allowed to perform this transition
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status, or the order is locked
+ */
+router.patch('/:id/status', auth, can('order:update'), [
+  idParam(),
+  body('status').isIn(['pending', 'processing', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], validate, updateOrderStatus);
+
+/**
+ * @swagger
+ * /api/order/{id}/payment:
+ *   post:
+ *     summary: Pay for an order
+ *     description: |
+ *       Creates a payment intent for the order total with the configured provider (PAYMENT_PROVIDER).
+ *       The money is held until the order is delivered. A delivered order that is partially paid is
+ *       paid for what is left owing, which is taken as soon as it is authorized. With the mock
+ *       provider, `scenario` picks the outcome: succeed, fail, delay (confirmed by a callback a moment
+ *       later) or delay-fail.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scenario:
+ *                 type: string
+ *                 enum: [succeed, fail, delay, delay-fail]
+ *                 description: Mock provider only
+ *     responses:
+ *       201:
+ *         description: Payment started; check paymentStatus for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 paymentStatus:
+ *                   type: string
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid input, or nothing to pay
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is closed, or already paid or being paid
+ *   get:
+ *     summary: Get an order's payment status and payment attempts
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment status and attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 paymentStatus:
+ *                   type: string
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Order not found
+ */
+router.post('/:id/payment', auth, can('order:update'), [
+  idParam(),
+  body('scenario').optional().isIn(['succeed', 'fail', 'delay', 'delay-fail']).withMessage('Invalid scenario')
+], validate, payOrder);
+
+router.get('/:id/payment', auth, can('order:read'), validateObjectId(), getOrderPayments);
 
 /**
  * @swagger
  * /api/order/{id}/delete:
  *   delete:
- *     summary: Delete an order
+ *     summary: Cancel an order
+ *     description: Orders are no longer hard-deleted; this cancels the order and keeps it on record.
+ *     deprecated: true
  *     tags: [Order]
  *     security:
  *       - bearerAuth: []
@@ -154,10 +538,14 @@ router.post('/', auth, [
  *           type: string
  *     responses:
  *       200:
- *         description: Order deleted successfully
+ *         description: Order cancelled successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled, or the order is locked
  */
-router.delete('/:id/delete', auth, deleteOrder);
+router.delete('/:id/delete', auth, can('order:delete'), validateObjectId(), deleteOrder);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { receiveWebhook } = require('../controllers/paymentController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: mock
+ *         providerId:
+ *           type: string
+ *           description: The provider's id for the payment intent
+ *         amount:
+ *           type: number
+ *           description: Amount authorized
+ *         currency:
+ *           type: string
+ *           example: EUR
+ *         status:
+ *           type: string
+ *           enum: [pending, authorized, captured, failed, cancelled, refunded]
+ *           description: |
+ *             pending waits for the provider to confirm, authorized holds the money until delivery,
+ *             captured has taken it, cancelled released the hold and refunded returned the money
+ *         capturedAmount:
+ *           type: number
+ *         shortfall:
+ *           type: number
+ *           description: Part of the order total left uncaptured because it exceeded the authorized amount
+ *         refundedAmount:
+ *           type: number
+ *         failureReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/payment/webhook/{provider}:
+ *   post:
+ *     summary: Receive a payment status callback from a provider
+ *     description: |
+ *       Called by the payment provider, not by clients. The request is verified with the provider's
+ *       signature scheme; the mock provider signs the raw body with HMAC-SHA256 in the
+ *       X-Mock-Signature header. Callbacks already handled are acknowledged without effect.
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Unique id of the callback
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.failed, payment.captured, payment.cancelled, payment.refunded]
+ *               providerId:
+ *                 type: string
+ *               failureReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Callback received
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: Unknown provider or payment
+ */
+router.post('/webhook/:provider', receiveWebhook);
+
+module.exports = router;
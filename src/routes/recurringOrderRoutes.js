@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getRecurringOrders,
+  getRecurringOrder,
+  createRecurringOrder,
+  updateRecurringOrder,
+  pauseRecurringOrder,
+  resumeRecurringOrder,
+  deleteRecurringOrder
+} = require('../controllers/recurringOrderController');
+const auth = require('../middleware/auth');
+const { can, requireVerifiedEmail } = require('../middleware/authorize');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
+
+const frequencies = ['weekly', 'biweekly', 'four-weekly'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringOrderInput:
+ *       type: object
+ *       required:
+ *         - items
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         community:
+ *           type: string
+ *           description: Community to deliver to; defaults to the user's community
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, biweekly, four-weekly]
+ *           default: weekly
+ *           description: Order for every delivery, every other delivery or every fourth delivery
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day a delivery may be ordered for, in the community's time zone; defaults to now
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day a delivery may be ordered for, in the community's time zone
+ *     RecurringOrderRun:
+ *       type: object
+ *       properties:
+ *         deliveryDate:
+ *           type: string
+ *           format: date-time
+ *         order:
+ *           type: string
+ *           description: ID of the order placed, absent if none could be placed
+ *         skipped:
+ *           type: array
+ *           description: Items left out because they were unavailable or short of stock
+ *           items:
+ *             type: object
+ *             properties:
+ *               article:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *         error:
+ *           type: string
+ *           description: Why no order was placed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     RecurringOrder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         community:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, biweekly, four-weekly]
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [active, paused, ended]
+ *         lastDeliveryDate:
+ *           type: string
+ *           format: date-time
+ *         runs:
+ *           type: array
+ *           description: The most recent deliveries, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/RecurringOrderRun'
+ *         nextDelivery:
+ *           type: object
+ *           nullable: true
+ *           description: The delivery the next order will be placed for, null when paused or ended
+ *           properties:
+ *             date:
+ *               type: string
+ *               format: date
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             orderCutoff:
+ *               type: string
+ *               format: date-time
+ *             placeAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the order will be placed
+ */
+
+/**
+ * @swagger
+ * /api/recurring-order:
+ *   get:
+ *     summary: Get the current user's recurring orders
+ *     description: Runs are left out; fetch a single recurring order to see them.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of recurring orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecurringOrder'
+ *   post:
+ *     summary: Create a recurring order
+ *     description: |
+ *       An order is placed automatically ahead of each matching community delivery, shortly before its
+ *       order cutoff. Articles that are unavailable or short of stock at that moment are skipped and
+ *       reported in the run and by email.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringOrderInput'
+ *     responses:
+ *       201:
+ *         description: Recurring order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringOrder'
+ *       400:
+ *         description: Invalid input, unknown articles, or no community
+ *       403:
+ *         description: Email address not verified, or missing permission
+ *       404:
+ *         description: Community not found
+ */
+router.get('/', auth, can('order:read'), getRecurringOrders);
+
+router.post('/', auth, can('order:create'), requireVerifiedEmail, [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.article').isMongoId().withMessage('Invalid article ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('community').optional().isMongoId().withMessage('Invalid community ID'),
+  body('frequency').optional().isIn(frequencies).withMessage(`Frequency must be one of ${frequencies.join(', ')}`),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  body('endDate').optional().isISO8601().withMessage('Invalid end date format')
+], validate, createRecurringOrder);
+
+/**
+ * @swagger
+ * /api/recurring-order/{id}:
+ *   get:
+ *     summary: Get a recurring order with its recent runs
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The recurring order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringOrder'
+ *       404:
+ *         description: Recurring order not found
+ *   put:
+ *     summary: Change a recurring order
+ *     description: Changes apply from the next order placed; orders already placed are not touched.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, four-weekly]
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: Null removes the end date
+ *     responses:
+ *       200:
+ *         description: The updated recurring order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringOrder'
+ *       400:
+ *         description: Invalid input or unknown articles
+ *       404:
+ *         description: Recurring order not found
+ *       409:
+ *         description: Recurring order has ended
+ *   delete:
+ *     summary: Delete a recurring order
+ *     description: Orders already placed from it are kept.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring order deleted
+ *       404:
+ *         description: Recurring order not found
+ */
+router.get('/:id', auth, can('order:read'), validateObjectId(), getRecurringOrder);
+
+router.put('/:id', auth, can('order:update'), [
+  idParam(),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.article').isMongoId().withMessage('Invalid article ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('frequency').optional().isIn(frequencies).withMessage(`Frequency must be one of ${frequencies.join(', ')}`),
+  body('endDate').optional({ values: 'undefined' }).custom(value => value === null || !isNaN(Date.parse(value)))
+    .withMessage('Invalid end date format')
+], validate, updateRecurringOrder);
+
+router.delete('/:id', auth, can('order:delete'), validateObjectId(), deleteRecurringOrder);
+
+/**
+ * @swagger
+ * /api/recurring-order/{id}/pause:
+ *   post:
+ *     summary: Pause a recurring order
+ *     description: No orders are placed while it is paused.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The paused recurring order
+ *       404:
+ *         description: Recurring order not found
+ *       409:
+ *         description: Recurring order is not active
+ */
+router.post('/:id/pause', auth, can('order:update'), validateObjectId(), pauseRecurringOrder);
+
+/**
+ * @swagger
+ * /api/recurring-order/{id}/resume:
+ *   post:
+ *     summary: Resume a paused recurring order
+ *     description: Deliveries missed while paused are not ordered; it continues with the next open delivery.
+ *     tags: [Recurring Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The resumed recurring order
+ *       404:
+ *         description: Recurring order not found
+ *       409:
+ *         description: Recurring order is not paused
+ */
+router.post('/:id/resume', auth, can('order:update'), validateObjectId(), resumeRecurringOrder);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { updateUserRole } = require('../controllers/userController');
+const auth = require('../middleware/auth');
+const { can } = require('../middleware/authorize');
+const { validate, idParam } = require('../middleware/validate');
+
+/**
+ * @swagger
+ * /api/user/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/role', auth, can('user:manage'), [
+  idParam(),
+  body('role').isIn(['user', 'admin']).withMessage('Invalid role')
+], validate, updateUserRole);
+
+module.exports = router;
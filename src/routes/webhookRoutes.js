@@ -0,0 +1,401 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+} = require('../controllers/webhookController');
+const auth = require('../middleware/auth');
+const { can } = require('../middleware/authorize');
+const { validate, idParam, validateObjectId } = require('../middleware/validate');
+const { isValidCursor } = require('../services/pagination');
+const { webhookEventTypes } = require('../config/webhooks');
+
+// Validation for the subscription fields shared by create and update
+const webhookRules = [
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https URL'),
+  body('description').optional().isString().trim(),
+  body('events').optional().isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(Object.keys(webhookEventTypes)).withMessage('Unknown webhook event'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Receives a POST with the event as JSON for every event subscribed to
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [order.created, order.cancelled, order.delivered, community.delivery_changed]
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         secret:
+ *           type: string
+ *           readOnly: true
+ *           description: |
+ *             Signing key, only returned when the subscription is created or its secret rotated.
+ *             Every request carries `X-PicnicHood-Signature: t=<unix time>,v1=<hex>`, where `v1`
+ *             is the HMAC-SHA256 of `<t>.<raw body>` keyed with the secret.
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Sent as the X-PicnicHood-Delivery header
+ *         subscription:
+ *           type: string
+ *         event:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: The `id` in the body; the same for replays, so receivers can skip events they handled
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         payload:
+ *           type: object
+ *           description: The `data` in the body
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *           description: Failed deliveries are retried with exponential backoff until they run out of attempts
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         replayOf:
+ *           type: string
+ *           description: The delivery this one re-sent
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/webhook:
+ *   get:
+ *     summary: Get webhook subscriptions
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         description: Only subscriptions to this event
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of webhook subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PageEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookSubscription'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a webhook subscription
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       201:
+ *         description: The subscription, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', auth, can('webhook:manage'), [
+  query('event').optional().isIn(Object.keys(webhookEventTypes)).withMessage('Unknown webhook event'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getWebhooks);
+
+router.post('/', auth, can('webhook:manage'), [
+  body('url').exists().withMessage('URL is required'),
+  body('events').exists().withMessage('Events are required'),
+  ...webhookRules
+], validate, createWebhook);
+
+/**
+ * @swagger
+ * /api/webhook/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     summary: Update a webhook subscription
+ *     description: Deactivating a subscription fails the deliveries still waiting for a retry.
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', auth, can('webhook:manage'), validateObjectId(), getWebhook);
+
+router.put('/:id', auth, can('webhook:manage'), [
+  idParam(),
+  body('secret').not().exists().withMessage('Rotate the secret instead of setting it'),
+  ...webhookRules
+], validate, updateWebhook);
+
+router.delete('/:id', auth, can('webhook:manage'), validateObjectId(), deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhook/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret
+ *     description: Payloads are signed with the new secret from now on, retries of earlier events included.
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription, with its new secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', auth, can('webhook:manage'), validateObjectId(), rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/webhook/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/limit'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries without their payload, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CursorEnvelope'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', auth, can('webhook:manage'), [
+  idParam(),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('event').optional().isIn(Object.keys(webhookEventTypes)).withMessage('Unknown webhook event'),
+  query('cursor').optional().custom(isValidCursor).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhook/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a webhook delivery with its payload and attempts
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/:id/deliveries/:deliveryId', auth, can('webhook:manage'), validateObjectId('id', 'deliveryId'), getWebhookDelivery);
+
+/**
+ * @swagger
+ * /api/webhook/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery's event again
+ *     description: |
+ *       Creates a new delivery of the same event (same event id and payload), makes its first
+ *       attempt right away and retries it like any other delivery.
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery after its first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: The webhook is inactive
+ */
+router.post('/:id/deliveries/:deliveryId/replay', auth, can('webhook:manage'), validateObjectId('id', 'deliveryId'), replayWebhookDelivery);
+
+module.exports = router;
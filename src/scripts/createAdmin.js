@@ -0,0 +1,33 @@
+// Bootstrap an admin: promote an existing user by email.
+// Usage: npm run create-admin -- user@example.com
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const createAdmin = async (email) => {
+  if (!email) {
+    throw new Error('Usage: npm run create-admin -- <email>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-grocery');
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role: 'admin' },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(`No user registered with email ${email}`);
+    }
+    console.log(`${user.username} <${user.email}> is now an admin`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin(process.argv[2])
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
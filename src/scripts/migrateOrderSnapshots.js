@@ -0,0 +1,59 @@
+// Backfill name, unit, unit price and line total on order items created before
+// items were snapshotted. Uses the current catalog; for articles that no longer
+// exist the unit price is derived from the order total where that is unambiguous.
+// Usage: npm run migrate:order-snapshots
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Article = require('../models/Article');
+const { roundAmount } = require('../services/orderPricing');
+
+const migrateOrderSnapshots = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-grocery');
+
+  try {
+    // Read raw documents so items without snapshot fields are not rejected by the schema
+    const orders = await Order.find({ 'items.unitPrice': { $exists: false } }).lean();
+    let migrated = 0;
+
+    for (const order of orders) {
+      const articleIds = order.items.map(item => item.article);
+      const articles = await Article.find({ _id: { $in: articleIds } }).lean();
+      const articleMap = articles.reduce((map, article) => {
+        map[article._id.toString()] = article;
+        return map;
+      }, {});
+
+      const items = order.items.map(item => {
+        if (item.unitPrice !== undefined) return item;
+
+        const article = articleMap[item.article.toString()];
+        let unitPrice = article ? article.price : 0;
+        if (!article && order.items.length === 1) {
+          unitPrice = roundAmount(order.totalAmount / item.quantity);
+        }
+
+        return {
+          ...item,
+          name: article ? article.name : 'Deleted article',
+          unit: article ? article.unit : undefined,
+          unitPrice,
+          lineTotal: roundAmount(unitPrice * item.quantity)
+        };
+      });
+
+      await Order.collection.updateOne({ _id: order._id }, { $set: { items } });
+      migrated++;
+    }
+
+    console.log(`Migrated ${migrated} order(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateOrderSnapshots()
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
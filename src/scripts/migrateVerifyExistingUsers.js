@@ -0,0 +1,26 @@
+// Mark users created before email verification existed as verified, so they
+// keep access to ordering and communities.
+// Usage: npm run migrate:verify-existing-users
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const migrateVerifyExistingUsers = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-grocery');
+
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    console.log(`Marked ${result.modifiedCount} user(s) as verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateVerifyExistingUsers()
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
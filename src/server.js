@@ -5,14 +5,32 @@ const helmet = require('helmet');
 const mongoose = require('mongoose');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
+const { closeDueRounds } = require('./services/voting');
+const { materializeDueRecurringOrders } = require('./services/recurringOrders');
+const { registerNotificationSubscribers } = require('./services/notifications');
+const { registerLiveUpdateSubscribers } = require('./services/liveUpdates');
+const { registerWebhookSubscribers, deliverDueWebhooks } = require('./services/webhooks');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { trustProxy } = require('./config/proxy');
 
 const authRoutes = require('./routes/authRoutes');
 const communityRoutes = require('./routes/communityRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const articleRoutes = require('./routes/articleRoutes');
+const userRoutes = require('./routes/userRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const recurringOrderRoutes = require('./routes/recurringOrderRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const liveRoutes = require('./routes/liveRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 const app = express();
 
+// Read the client address from X-Forwarded-For when running behind a proxy
+app.set('trust proxy', trustProxy);
+
 // Configure Helmet with specific options for Swagger UI
 app.use(helmet({
   contentSecurityPolicy: {
@@ -26,7 +44,12 @@ app.use(helmet({
 }));
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger UI
@@ -38,10 +61,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api', apiLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/order', orderRoutes);
 app.use('/api/article', articleRoutes);
+app.use('/api/user', userRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/recurring-order', recurringOrderRoutes);
+app.use('/api/coupon', couponRoutes);
+app.use('/api/payment', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/webhook', webhookRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -50,10 +82,42 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are client errors, reported like any other validation failure
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: [{ field: null, location: 'body', message: 'Malformed JSON body' }]
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
+// Notify members of community and order events
+registerNotificationSubscribers();
+
+// Push community and order events to live update streams
+registerLiveUpdateSubscribers();
+
+// Queue webhooks for the events partners subscribed to
+registerWebhookSubscribers();
+
+// Close voting rounds whose deadline has passed and apply their results
+setInterval(() => {
+  closeDueRounds().catch(err => console.error('Error closing voting rounds:', err));
+}, 60 * 1000).unref();
+
+// Place recurring orders for deliveries whose order cutoff is coming up
+setInterval(() => {
+  materializeDueRecurringOrders().catch(err => console.error('Error placing recurring orders:', err));
+}, 15 * 60 * 1000).unref();
+
+// Retry webhook deliveries that are due
+setInterval(() => {
+  deliverDueWebhooks().catch(err => console.error('Error sending webhooks:', err));
+}, 30 * 1000).unref();
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server is running on port ${PORT}`);
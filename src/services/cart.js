@@ -0,0 +1,77 @@
+const Article = require('../models/Article');
+const Cart = require('../models/Cart');
+const { roundAmount, snapshotItem } = require('./orderPricing');
+
+// Raised when a cart is modified while it is being checked out
+class CartChangedError extends Error {
+  constructor() {
+    super('Your cart changed during checkout, please review it and try again');
+    this.name = 'CartChangedError';
+  }
+}
+
+// The user's cart, created empty on first use. An upsert, so concurrent first
+// requests end up with the same cart instead of tripping the unique index.
+const findOrCreateCart = (userId) => Cart.findOneAndUpdate(
+  { user: userId },
+  { $setOnInsert: { items: [] } },
+  { upsert: true, new: true }
+);
+
+// Price a cart against the current catalog. Lines that cannot be ordered as
+// they are carry a warning and are left out of the subtotal.
+const priceCart = async (cart) => {
+  const articles = await Article.find({ _id: { $in: cart.items.map(item => item.article) } });
+  const articleMap = articles.reduce((map, article) => {
+    map[article._id.toString()] = article;
+    return map;
+  }, {});
+
+  const warnings = [];
+  const items = cart.items.map(item => {
+    const article = articleMap[item.article.toString()];
+    if (!article) {
+      warnings.push({ article: item.article, message: 'Article no longer exists' });
+      return { article: item.article, quantity: item.quantity, available: false };
+    }
+
+    const line = { ...snapshotItem(article, item.quantity), available: true };
+    if (!article.isAvailable) {
+      line.available = false;
+      warnings.push({ article: article._id, message: `${article.name} is no longer available` });
+    } else if (article.stock !== null && article.stock < item.quantity) {
+      line.available = false;
+      line.inStock = article.stock;
+      warnings.push({ article: article._id, message: `Only ${article.stock} of ${article.name} left in stock` });
+    }
+    return line;
+  });
+
+  return {
+    items,
+    warnings,
+    subtotal: roundAmount(items
+      .filter(item => item.available)
+      .reduce((total, item) => total + item.lineTotal, 0)),
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Empty a cart inside a transaction, but only if it is unchanged since it was read
+const emptyCart = async (cart, session) => {
+  const result = await Cart.updateOne(
+    { _id: cart._id, updatedAt: cart.updatedAt },
+    { $set: { items: [], updatedAt: new Date() } },
+    { session }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new CartChangedError();
+  }
+};
+
+module.exports = {
+  CartChangedError,
+  findOrCreateCart,
+  emptyCart,
+  priceCart
+};
@@ -0,0 +1,88 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+
+// Raised when a coupon's last use is taken while an order is being placed
+class CouponUnavailableError extends Error {
+  constructor(code) {
+    super(`Coupon ${code} has been used up`);
+    this.name = 'CouponUnavailableError';
+  }
+}
+
+// Look up a coupon by code and check that this user may use it for this order.
+// Returns { coupon } or { error: { status, message } }.
+const findUsableCoupon = async (code, { user, communityId, subtotal, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    return { error: { status: 400, message: 'Invalid coupon code' } };
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { error: { status: 400, message: `Coupon ${coupon.code} is valid from ${coupon.validFrom.toISOString()}` } };
+  }
+  if (coupon.validUntil && coupon.validUntil <= now) {
+    return { error: { status: 400, message: `Coupon ${coupon.code} has expired` } };
+  }
+  if (coupon.community && !coupon.community.equals(communityId)) {
+    return { error: { status: 400, message: `Coupon ${coupon.code} is not valid for this community` } };
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return { error: { status: 400, message: `Coupon ${coupon.code} needs a subtotal of at least ${coupon.minSubtotal}` } };
+  }
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    return { error: { status: 409, message: `Coupon ${coupon.code} has been used up` } };
+  }
+  if (coupon.maxUsesPerUser !== null) {
+    const used = await Order.countDocuments({
+      user: user._id,
+      'coupon.coupon': coupon._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (used >= coupon.maxUsesPerUser) {
+      return { error: { status: 409, message: `You have already used coupon ${coupon.code}` } };
+    }
+  }
+
+  return { coupon };
+};
+
+// Count one use of a coupon. Must run in the order's transaction; throws
+// CouponUnavailableError if another order took the last use first.
+const redeemCoupon = async (coupon, { session }) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new CouponUnavailableError(coupon.code);
+  }
+};
+
+// Give the coupon use of a cancelled order back
+const releaseCoupon = async (order, { session }) => {
+  if (!order.coupon?.coupon) return;
+  await Coupon.updateOne(
+    { _id: order.coupon.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+// The coupon's terms as stored on an order
+const couponTerms = (coupon) => ({
+  coupon: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value
+});
+
+module.exports = {
+  CouponUnavailableError,
+  findUsableCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  couponTerms
+};
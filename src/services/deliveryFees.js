@@ -0,0 +1,137 @@
+const Community = require('../models/Community');
+const Order = require('../models/Order');
+const { depotLocation } = require('../config/delivery');
+const { roundAmount, orderTotal } = require('./orderPricing');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two [longitude, latitude] points in kilometres
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// What one delivery to the community costs. Distance-based fees add a rate per
+// kilometre from the depot; without a configured depot only the base amount applies.
+const deliveryFeeFor = (community) => {
+  const { mode = 'flat', amount = 0, perKm = 0 } = community.deliveryFee || {};
+  const coordinates = community.location?.coordinates;
+
+  if (mode === 'distance' && depotLocation && coordinates?.length === 2) {
+    return roundAmount(amount + perKm * distanceKm(depotLocation, coordinates));
+  }
+  return roundAmount(amount);
+};
+
+// Split an amount into `parts` shares that differ by at most a cent and add up exactly
+const splitAmount = (amount, parts) => {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / parts);
+  const remainder = cents - base * parts;
+  return Array.from({ length: parts }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+};
+
+// Whether an order's share of the fee is settled: it left pending, or a payment
+// was started for the total it has now
+const hasFixedFee = (order) =>
+  order.status !== 'pending' || ['pending', 'authorized', 'paid', 'partially_paid'].includes(order.paymentStatus);
+
+// Share a delivery's fee equally among the members with active orders for it;
+// a member with several orders has their share spread over them. Orders with a
+// fixed share keep it: what they pay is taken off the fee, the rest is split
+// among the members whose orders can still change, and such orders of a member
+// who already pays a fixed share get none. Orders whose share changed are saved
+// with a new total. Orders in `current` (documents the caller holds) are updated
+// in place instead of being reloaded.
+const splitDeliveryFee = async ({ community: communityId, deliveryDate, session, current = [] }) => {
+  if (!communityId) return;
+
+  const [community, loaded] = await Promise.all([
+    Community.findById(communityId).session(session || null),
+    Order.find({ community: communityId, deliveryDate, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session || null)
+  ]);
+  if (!community) return;
+
+  const held = new Map(current.map(order => [order._id.toString(), order]));
+  const orders = loaded.map(order => held.get(order._id.toString()) || order);
+
+  const fixed = orders.filter(hasFixedFee);
+  const paying = new Set(fixed.map(order => order.user.toString()));
+  const remaining = Math.max(0, roundAmount(
+    deliveryFeeFor(community) - fixed.reduce((total, order) => total + (order.deliveryFee || 0), 0)
+  ));
+
+  // Members in the order they joined the delivery, so rounding cents go to the earliest
+  const byMember = new Map();
+  const covered = [];
+  for (const order of orders.filter(order => !hasFixedFee(order))) {
+    const member = order.user.toString();
+    if (paying.has(member)) {
+      covered.push(order);
+    } else {
+      byMember.set(member, [...(byMember.get(member) || []), order]);
+    }
+  }
+
+  const updates = covered.map(order => [order, 0]);
+  if (byMember.size > 0) {
+    const shares = splitAmount(remaining, byMember.size);
+    let i = 0;
+    for (const memberOrders of byMember.values()) {
+      const perOrder = splitAmount(shares[i++], memberOrders.length);
+      memberOrders.forEach((order, j) => updates.push([order, perOrder[j]]));
+    }
+  }
+
+  for (const [order, deliveryFee] of updates) {
+    if (order.deliveryFee === deliveryFee) continue;
+    order.deliveryFee = deliveryFee;
+    order.totalAmount = orderTotal(order);
+    await order.save({ session });
+  }
+};
+
+// Re-split the fee of every upcoming delivery with pending orders, e.g. after the fee changed
+const resplitUpcomingDeliveries = async (community) => {
+  const deliveryDates = await Order.distinct('deliveryDate', {
+    community: community._id,
+    deliveryDate: { $gte: new Date() },
+    status: 'pending'
+  });
+  for (const deliveryDate of deliveryDates) {
+    await splitDeliveryFee({ community: community._id, deliveryDate });
+  }
+};
+
+// The fee of a delivery and how many members currently share it
+const deliveryFeeSummary = async (community, deliveryDate) => {
+  const members = await Order.distinct('user', {
+    community: community._id,
+    deliveryDate,
+    status: { $ne: 'cancelled' }
+  });
+  const total = deliveryFeeFor(community);
+
+  return {
+    total,
+    members: members.length,
+    // What each member pays now, and what each would pay if one more member ordered
+    share: members.length ? splitAmount(total, members.length)[0] : total,
+    shareWithOneMore: splitAmount(total, members.length + 1)[0]
+  };
+};
+
+module.exports = {
+  distanceKm,
+  deliveryFeeFor,
+  splitAmount,
+  splitDeliveryFee,
+  resplitUpcomingDeliveries,
+  deliveryFeeSummary
+};
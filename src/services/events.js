@@ -0,0 +1,25 @@
+const { EventEmitter } = require('events');
+
+// Domain events other parts of the app react to, e.g. notifications and webhooks.
+// Events are emitted after the change they describe has been stored.
+const domainEvents = new EventEmitter();
+
+// Publish a domain event
+const emitEvent = (type, payload) => {
+  domainEvents.emit(type, { type, occurredAt: new Date(), ...payload });
+};
+
+// Run an async handler for every event of a type. Handlers run after the emitter
+// has returned; their failures are logged and never reach the code that emitted.
+const onEvent = (type, handler) => {
+  domainEvents.on(type, (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch(err => console.error(`Error handling ${type} event:`, err));
+  });
+};
+
+module.exports = {
+  emitEvent,
+  onEvent
+};
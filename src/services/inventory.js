@@ -0,0 +1,135 @@
+const Article = require('../models/Article');
+const StockMovement = require('../models/StockMovement');
+
+// Raised when one or more order items cannot be fulfilled from stock
+class InsufficientStockError extends Error {
+  constructor(items) {
+    super('Some items cannot be fulfilled');
+    this.name = 'InsufficientStockError';
+    this.items = items;
+  }
+}
+
+// Take stock for an order's items. Must run inside a transaction so that a
+// failure on any item leaves every article's stock untouched.
+const reserveStock = async (order, { session, user, reason = 'Order placed' }) => {
+  const unfulfillable = [];
+
+  for (const item of order.items) {
+    const article = await Article.findById(item.article).session(session);
+
+    if (!article || !article.isAvailable) {
+      unfulfillable.push({ article: item.article, name: item.name, requested: item.quantity, available: 0 });
+      continue;
+    }
+
+    if (article.stock === null) continue;
+
+    // Conditional decrement: only succeeds if enough stock is left at write time
+    const updated = await Article.findOneAndUpdate(
+      { _id: article._id, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      unfulfillable.push({ article: item.article, name: item.name, requested: item.quantity, available: article.stock });
+      continue;
+    }
+
+    await StockMovement.create([{
+      article: article._id,
+      change: -item.quantity,
+      stockAfter: updated.stock,
+      reason,
+      order: order._id,
+      user: user._id
+    }], { session });
+  }
+
+  if (unfulfillable.length > 0) {
+    throw new InsufficientStockError(unfulfillable);
+  }
+
+  order.stockReserved = true;
+};
+
+// Put an order's reserved stock back, e.g. when it is cancelled
+const releaseStock = async (order, { session, user, reason = 'Order cancelled' }) => {
+  if (!order.stockReserved) return;
+
+  for (const item of order.items) {
+    // Untracked or deleted articles have nothing to give back
+    const updated = await Article.findOneAndUpdate(
+      { _id: item.article, stock: { $ne: null } },
+      { $inc: { stock: item.quantity } },
+      { new: true, session }
+    );
+    if (!updated) continue;
+
+    await StockMovement.create([{
+      article: item.article,
+      change: item.quantity,
+      stockAfter: updated.stock,
+      reason,
+      order: order._id,
+      user: user._id
+    }], { session });
+  }
+
+  order.stockReserved = false;
+};
+
+// Manually adjust an article's stock and record why.
+// Returns the updated article, or null if it does not exist.
+// Throws InsufficientStockError if the adjustment would make stock negative.
+const adjustStock = async (articleId, change, { session, user, reason }) => {
+  const article = await Article.findById(articleId).session(session);
+  if (!article) return null;
+
+  const current = article.stock ?? 0;
+  if (current + change < 0) {
+    throw new InsufficientStockError([{ article: article._id, name: article.name, requested: -change, available: current }]);
+  }
+
+  // Start tracking stock for articles that did not track it yet
+  const updated = article.stock === null
+    ? await Article.findOneAndUpdate(
+      { _id: article._id },
+      { $set: { stock: change, updatedAt: new Date() } },
+      { new: true, session }
+    )
+    : await Article.findOneAndUpdate(
+      { _id: article._id, stock: { $gte: -change } },
+      { $inc: { stock: change }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+
+  if (!updated) {
+    throw new InsufficientStockError([{ article: article._id, name: article.name, requested: -change, available: current }]);
+  }
+
+  await StockMovement.create([{
+    article: article._id,
+    change,
+    stockAfter: updated.stock,
+    reason,
+    user: user._id
+  }], { session });
+
+  return updated;
+};
+
+// Articles whose tracked stock is at or below their low-stock threshold
+const findLowStock = () => Article.find({
+  stock: { $ne: null },
+  $expr: { $lte: ['$stock', '$lowStockThreshold'] }
+}).sort({ stock: 1 });
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  findLowStock
+};
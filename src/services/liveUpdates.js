@@ -0,0 +1,98 @@
+const { onEvent } = require('./events');
+
+// Number of recent live events kept for clients that reconnect
+const REPLAY_BUFFER_SIZE = Number(process.env.LIVE_REPLAY_BUFFER_SIZE) || 1000;
+
+// Event ids start with the id of this process, so ids from before a restart
+// are recognised as unknown instead of being mistaken for recent ones
+const bootId = Date.now().toString(36);
+let sequence = 0;
+
+const recentEvents = [];
+const subscribers = new Set();
+
+const communityTopic = (communityId) => `community:${communityId}`;
+const ordersTopic = (userId) => `orders:${userId}`;
+
+// Send an event to everyone following the topic and keep it for replay
+const publish = (topic, event) => {
+  sequence += 1;
+  const entry = { id: `${bootId}-${sequence}`, sequence, topic, event };
+  recentEvents.push(entry);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  for (const subscriber of subscribers) {
+    if (subscriber.topics.has(topic)) {
+      subscriber.send(entry);
+    }
+  }
+};
+
+// Follow topics; `send` is called with every event published to them.
+// Returns a function that stops following.
+const subscribe = ({ user, topics, send }) => {
+  const subscriber = { user: user.toString(), topics, send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+// The events on the topics published after the given event id, or null when
+// some of them are no longer kept (unknown id, restart, or evicted from the buffer)
+const eventsSince = (lastEventId, topics) => {
+  const [boot, value] = String(lastEventId).split('-');
+  const last = Number(value);
+  if (boot !== bootId || !Number.isInteger(last) || last < 0 || last > sequence) {
+    return null;
+  }
+
+  const oldest = recentEvents.length > 0 ? recentEvents[0].sequence : sequence + 1;
+  if (last + 1 < oldest) {
+    return null;
+  }
+  return recentEvents.filter(entry => entry.sequence > last && topics.has(entry.topic));
+};
+
+// Stop sending a community's events to a user who left it
+const unfollowCommunity = (userId, communityId) => {
+  const topic = communityTopic(communityId);
+  for (const subscriber of subscribers) {
+    if (subscriber.user === userId.toString()) {
+      subscriber.topics.delete(topic);
+    }
+  }
+};
+
+// Publish community and order events to the live streams following them
+const registerLiveUpdateSubscribers = () => {
+  const communityEvents = [
+    'community.member_joined',
+    'community.member_left',
+    'community.vote_cast',
+    'community.voting_opened',
+    'community.voting_closed',
+    'community.delivery_changed'
+  ];
+  for (const type of communityEvents) {
+    onEvent(type, (event) => {
+      publish(communityTopic(event.community.id), event);
+    });
+  }
+
+  onEvent('community.member_left', ({ community, user }) => {
+    unfollowCommunity(user.id, community.id);
+  });
+
+  onEvent('order.status_changed', (event) => {
+    publish(ordersTopic(event.order.user), event);
+  });
+};
+
+module.exports = {
+  communityTopic,
+  ordersTopic,
+  subscribe,
+  eventsSince,
+  registerLiveUpdateSubscribers
+};
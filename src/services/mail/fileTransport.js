@@ -0,0 +1,12 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends messages as JSON lines to a file, handy for local development
+const send = async (message) => {
+  const file = process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'mail-outbox.jsonl');
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+  return { id: null };
+};
+
+module.exports = { send };
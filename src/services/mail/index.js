@@ -0,0 +1,42 @@
+const outboxTransport = require('./outboxTransport');
+const fileTransport = require('./fileTransport');
+
+// Available transports; each exposes send({ to, subject, text, html })
+const transports = {
+  outbox: outboxTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+// Register a transport (e.g. SMTP or a provider API) under a name
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Use a registered transport for all further mail
+const setTransport = (name) => {
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  activeTransport = transports[name];
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    setTransport(process.env.MAIL_TRANSPORT || 'outbox');
+  }
+  return activeTransport;
+};
+
+// Send a message through the active transport
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'PicnicHood <no-reply@picnichood.local>',
+  ...message
+});
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,9 @@
+const OutboxMessage = require('../../models/OutboxMessage');
+
+// Stores messages in the outbox collection so mail works without an SMTP server
+const send = async ({ to, subject, text, html }) => {
+  const message = await OutboxMessage.create({ to, subject, text, html });
+  return { id: message._id.toString() };
+};
+
+module.exports = { send };
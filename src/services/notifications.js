@@ -0,0 +1,109 @@
+const Community = require('../models/Community');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { notificationTypes } = require('../config/notifications');
+const { onEvent } = require('./events');
+const { sendMail } = require('./mail');
+
+// Channels a user receives a notification type on
+const channelsFor = (user, type) => {
+  const { defaults } = notificationTypes[type];
+  const chosen = user.notificationPreferences?.find(preference => preference.type === type);
+  return {
+    inApp: chosen?.inApp ?? defaults.inApp,
+    email: chosen?.email ?? defaults.email
+  };
+};
+
+// Every notification type with the channels the user receives it on
+const preferencesFor = (user) => Object.keys(notificationTypes).reduce((preferences, type) => {
+  preferences[type] = { description: notificationTypes[type].description, ...channelsFor(user, type) };
+  return preferences;
+}, {});
+
+// Notify users on the channels they chose for the type
+const notifyUsers = async (userIds, type, { title, body, data }) => {
+  if (userIds.length === 0) return;
+
+  const users = await User.find({ _id: { $in: userIds } }).select('username email notificationPreferences');
+  const notifications = [];
+  for (const user of users) {
+    const channels = channelsFor(user, type);
+    if (channels.inApp) {
+      notifications.push({ user: user._id, type, title, body, data });
+    }
+    if (channels.email) {
+      await sendMail({ to: user.email, subject: title, text: `Hi ${user.username},\n\n${body}` })
+        .catch(err => console.error(`Error mailing ${type} notification:`, err));
+    }
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+};
+
+// Ids of a community's members, leaving out the one who caused the event
+const memberIds = async (communityId, except) => {
+  const community = await Community.findById(communityId).select('members');
+  if (!community) return [];
+  return community.members
+    .map(member => member.user)
+    .filter(id => !except || !id.equals(except));
+};
+
+// Turn domain events into notifications
+const registerNotificationSubscribers = () => {
+  onEvent('community.member_joined', async ({ community, user }) => {
+    await notifyUsers(await memberIds(community.id, user.id), 'community.member_joined', {
+      title: `${user.username} joined ${community.name}`,
+      body: `${user.username} is now a member of ${community.name}.`,
+      data: { community: community.id }
+    });
+  });
+
+  onEvent('community.voting_opened', async ({ community, round, openedBy }) => {
+    await notifyUsers(await memberIds(community.id, openedBy), 'community.voting_opened', {
+      title: `Vote on the delivery time of ${community.name}`,
+      body: `A vote on the delivery day and time of ${community.name} is open until ${round.closesAt.toISOString()}.`,
+      data: { community: community.id }
+    });
+  });
+
+  onEvent('community.delivery_changed', async ({ community, previous, current, reason }) => {
+    const cause = reason === 'vote' ? 'after a vote' : 'by an admin';
+    await notifyUsers(await memberIds(community.id), 'community.delivery_changed', {
+      title: `${community.name} now delivers on ${current.deliveryDay} ${current.deliveryTime}`,
+      body: `The delivery of ${community.name} moved from ${previous.deliveryDay} ${previous.deliveryTime} ` +
+        `to ${current.deliveryDay} ${current.deliveryTime} ${cause}.`,
+      data: { community: community.id }
+    });
+  });
+
+  onEvent('order.status_changed', async ({ order, from, to, changedBy }) => {
+    // Customers know about changes they made themselves
+    if (order.user.equals(changedBy)) return;
+
+    await notifyUsers([order.user], 'order.status_changed', {
+      title: `Your order is ${to}`,
+      body: `Your order for the delivery of ${order.deliveryDate.toISOString()} moved from ${from} to ${to}.`,
+      data: { order: order.id, community: order.community }
+    });
+  });
+
+  onEvent('order.payment_shortfall', async ({ order, payment }) => {
+    await notifyUsers([order.user], 'order.payment_shortfall', {
+      title: `${payment.shortfall} ${payment.currency} left to pay for your order`,
+      body: `Your order for the delivery of ${order.deliveryDate.toISOString()} came to ${order.totalAmount} ` +
+        `${payment.currency}, of which ${payment.capturedAmount} was paid. Pay the remaining ` +
+        `${payment.shortfall} ${payment.currency} from the order.`,
+      data: { order: order.id, community: order.community }
+    });
+  });
+};
+
+module.exports = {
+  preferencesFor,
+  notifyUsers,
+  registerNotificationSubscribers
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { priceItems, quantitiesByArticle, priceBreakdown, refreshDeliveryDiscounts } = require('./orderPricing');
+const { InsufficientStockError, reserveStock, releaseStock } = require('./inventory');
+
+// Change the items of an order. Each change sets an article's quantity: a new
+// article is added, 0 removes it. Every line is re-priced at current prices the
+// same way new orders are, bulk tiers and the order's coupon are applied again,
+// reserved stock follows the new quantities, and the change is recorded in the
+// order's revisions. An edit racing another change of the order is rejected.
+// Returns { order } or { error: { status, message, ...details } }.
+const editOrderItems = async (order, changes, { user, note }) => {
+  const before = quantitiesByArticle(order.items);
+  const after = new Map(before);
+  for (const { article, quantity } of changes) {
+    if (quantity === 0) {
+      after.delete(article.toString());
+    } else {
+      after.set(article.toString(), quantity);
+    }
+  }
+
+  if (after.size === 0) {
+    return { error: { status: 400, message: 'An order needs at least one item; cancel it instead' } };
+  }
+
+  const changedIds = [...new Set([...before.keys(), ...after.keys()])]
+    .filter(id => before.get(id) !== after.get(id));
+  if (changedIds.length === 0) {
+    return { order };
+  }
+
+  const { orderItems, missingArticles } = await priceItems(
+    [...after].map(([article, quantity]) => ({ article, quantity }))
+  );
+
+  // Lines the edit does not touch keep their snapshot if the article has since been removed
+  const missingChanged = missingArticles.filter(id => changedIds.includes(id));
+  if (missingChanged.length > 0) {
+    return { error: { status: 400, message: 'Some articles do not exist', articles: missingChanged } };
+  }
+  const items = [
+    ...orderItems,
+    ...order.items.filter(item => missingArticles.includes(item.article.toString()))
+  ];
+
+  const breakdown = await priceBreakdown(items, {
+    community: order.community,
+    deliveryDate: order.deliveryDate,
+    coupon: order.coupon?.code ? order.coupon : null,
+    excludeOrder: order._id,
+    deliveryFee: order.deliveryFee
+  });
+
+  const names = new Map([...order.items, ...items].map(item => [item.article.toString(), item.name]));
+  const revision = {
+    changes: changedIds.map(id => ({
+      article: id,
+      name: names.get(id),
+      quantityBefore: before.get(id) || 0,
+      quantityAfter: after.get(id) || 0
+    })),
+    totalBefore: order.totalAmount,
+    totalAfter: breakdown.totalAmount,
+    changedBy: user._id,
+    note
+  };
+
+  // Only the difference in quantity is taken from or given back to stock
+  const increases = [];
+  const decreases = [];
+  for (const { article, name, quantityBefore, quantityAfter } of revision.changes) {
+    const delta = quantityAfter - quantityBefore;
+    (delta > 0 ? increases : decreases).push({ article, name, quantity: Math.abs(delta) });
+  }
+
+  // Computed up front so a retried transaction does not record the revision twice
+  const revisions = [...order.revisions, revision];
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      if (order.stockReserved) {
+        await releaseStock({ _id: order._id, items: decreases, stockReserved: true }, { session, user, reason: 'Order edited' });
+        await reserveStock({ _id: order._id, items: increases }, { session, user, reason: 'Order edited' });
+      }
+      order.items = items;
+      order.set(breakdown);
+      order.revisions = revisions;
+      await order.save({ session });
+    });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return { error: { status: 409, message: error.message, items: error.items } };
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return { error: { status: 409, message: 'Order was changed by another request, please reload it and try again' } };
+    }
+    throw error;
+  }
+
+  if (order.discounts.some(discount => discount.type === 'bulk')) {
+    await refreshDeliveryDiscounts({ community: order.community, deliveryDate: order.deliveryDate, excludeOrder: order._id })
+      .catch(err => console.error('Error refreshing bulk discounts:', err));
+  }
+
+  return { order };
+};
+
+module.exports = {
+  editOrderItems
+};
@@ -0,0 +1,274 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getProvider, activeProviderName } = require('./payments');
+const { roundAmount } = require('./orderPricing');
+const { orderSnapshot } = require('./orderStatus');
+const { emitEvent } = require('./events');
+
+const CURRENCY = process.env.CURRENCY || 'EUR';
+
+// The order's payment status for each payment status
+const orderPaymentStatus = {
+  pending: 'pending',
+  authorized: 'authorized',
+  captured: 'paid',
+  failed: 'failed',
+  cancelled: 'voided',
+  refunded: 'refunded'
+};
+
+// Payment status each provider callback moves a payment to
+const eventStatuses = {
+  'payment.authorized': 'authorized',
+  'payment.failed': 'failed',
+  'payment.captured': 'captured',
+  'payment.cancelled': 'cancelled',
+  'payment.refunded': 'refunded'
+};
+
+// Statuses a payment may move to from each status; late or replayed callbacks
+// never move a payment backwards
+const paymentTransitions = {
+  pending: ['authorized', 'failed', 'cancelled'],
+  authorized: ['captured', 'failed', 'cancelled'],
+  captured: ['refunded'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+// The order's payment status for a payment; a capture that fell short of the
+// order total leaves the order partially paid
+const paymentStatusFor = (payment) =>
+  payment.status === 'captured' && payment.shortfall > 0 ? 'partially_paid' : orderPaymentStatus[payment.status];
+
+// Store a payment's new status and mirror it on its order, if it is still the order's payment
+const setPaymentStatus = async (payment, status, failureReason) => {
+  payment.status = status;
+  if (failureReason) {
+    payment.failureReason = failureReason;
+  }
+  await payment.save();
+  await Order.updateOne(
+    { _id: payment.order, payment: payment._id },
+    { $set: { paymentStatus: paymentStatusFor(payment) } }
+  );
+};
+
+// Apply a verified callback from a provider to the payment it is about.
+// Returns { payment } or { error: { status, message } }.
+const applyProviderEvent = async (providerName, event) => {
+  const payment = await Payment.findOne({ provider: providerName, providerId: event.providerId });
+  if (!payment) {
+    return { error: { status: 404, message: 'Payment not found' } };
+  }
+  if (payment.events.some(handled => handled.id === event.id)) {
+    return { payment };
+  }
+
+  payment.events.push({ id: event.id, type: event.type });
+  const status = eventStatuses[event.type];
+  if (status && paymentTransitions[payment.status].includes(status)) {
+    await setPaymentStatus(payment, status, event.failureReason);
+    await captureIfDelivered(payment);
+  } else {
+    await payment.save();
+  }
+
+  return { payment };
+};
+
+// Verify and apply a webhook call from a provider.
+// Returns { payment } or { error: { status, message } }.
+const handleWebhook = async (providerName, { rawBody, headers }) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: { status: 404, message: 'Unknown payment provider' } };
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook({ rawBody: rawBody || Buffer.alloc(0), headers });
+  } catch (error) {
+    return { error: { status: 400, message: error.message } };
+  }
+
+  return applyProviderEvent(providerName, event);
+};
+
+// A provider with its in-process callbacks (as the mock provider sends them)
+// routed through the same handler as real webhooks
+const providerFor = (name) => {
+  const provider = getProvider(name);
+  if (provider && 'deliver' in provider && !provider.deliver) {
+    provider.deliver = async (callback) => {
+      const { error } = await handleWebhook(name, callback);
+      if (error) {
+        throw new Error(error.message);
+      }
+    };
+  }
+  return provider;
+};
+
+// What is still owed on an order: its total minus what its payments captured
+const amountDue = async (order) => {
+  const captured = await Payment.find({ order: order._id, status: 'captured' }).select('capturedAmount');
+  return roundAmount(order.totalAmount - captured.reduce((total, payment) => total + payment.capturedAmount, 0));
+};
+
+// Start paying for an order through the active provider. Open orders are paid in
+// full; a delivered order can be paid for what its earlier payments left owing,
+// which is captured as soon as it is authorized. `options` are passed to the
+// provider as they are (e.g. the mock provider's scenario).
+// Returns { payment } or { error: { status, message } }.
+const startPayment = async (order, { user, options }) => {
+  if (!['pending', 'processing', 'delivered'].includes(order.status)) {
+    return { error: { status: 409, message: `Cannot pay for an order that is ${order.status}` } };
+  }
+  if (['pending', 'authorized', 'paid'].includes(order.paymentStatus)) {
+    return { error: { status: 409, message: `Order payment is already ${order.paymentStatus}` } };
+  }
+
+  const amount = order.status === 'delivered' ? await amountDue(order) : order.totalAmount;
+  if (amount <= 0) {
+    return { error: { status: 400, message: 'There is nothing to pay for this order' } };
+  }
+
+  const providerName = activeProviderName();
+  const provider = providerFor(providerName);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  const intent = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    reference: order._id.toString(),
+    options
+  });
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: user._id,
+    provider: providerName,
+    providerId: intent.providerId,
+    amount,
+    currency: CURRENCY,
+    status: intent.status,
+    failureReason: intent.failureReason
+  });
+
+  // Link the payment only if the order is still payable the same way and nobody
+  // started another payment meanwhile; bumping the version makes a concurrent
+  // cancel fail instead of missing the payment it should release
+  const status = order.status === 'delivered' ? 'delivered' : { $in: ['pending', 'processing'] };
+  const linked = await Order.findOneAndUpdate(
+    { _id: order._id, status, paymentStatus: order.paymentStatus },
+    { $set: { payment: payment._id, paymentStatus: paymentStatusFor(payment) }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!linked) {
+    await releasePayment(payment);
+    return { error: { status: 409, message: 'Order was changed by another request, please reload it and try again' } };
+  }
+
+  if (order.status === 'delivered') {
+    await captureIfDelivered(payment);
+  }
+  order.set({ payment: payment._id, paymentStatus: paymentStatusFor(payment), __v: linked.__v });
+
+  return { payment };
+};
+
+// Take the money for a delivered order. Item edits are closed once a payment is
+// authorized, but the total can still differ from what was authorized (e.g. a
+// payment started before the order's share of the delivery fee was fixed). Never
+// more than was authorized is captured; what is left owing is recorded as the
+// payment's shortfall, and the customer is asked to pay it.
+const capturePayment = async (payment, order) => {
+  const due = await amountDue(order);
+  const amount = Math.min(due, payment.amount);
+  const result = await providerFor(payment.provider).capture({ providerId: payment.providerId, amount });
+  if (result.status === 'captured') {
+    payment.capturedAmount = amount;
+    payment.shortfall = roundAmount(due - amount);
+  }
+  await setPaymentStatus(payment, result.status, result.failureReason);
+
+  if (payment.shortfall > 0) {
+    emitEvent('order.payment_shortfall', {
+      order: orderSnapshot(order),
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        capturedAmount: payment.capturedAmount,
+        shortfall: payment.shortfall,
+        currency: payment.currency
+      }
+    });
+  }
+};
+
+// Capture a payment that was authorized after its order was delivered: a payment
+// of what was left owing, or one whose authorization came in late. A failed
+// capture is logged and left on the payment, as on delivery.
+const captureIfDelivered = async (payment) => {
+  if (payment.status !== 'authorized') return;
+
+  try {
+    const order = await Order.findOne({ _id: payment.order, payment: payment._id, status: 'delivered' });
+    if (order) {
+      await capturePayment(payment, order);
+    }
+  } catch (error) {
+    console.error(`Error capturing payment ${payment._id}:`, error);
+  }
+};
+
+// Release the authorization of a cancelled order, or refund it if money was taken
+const releasePayment = async (payment) => {
+  const provider = providerFor(payment.provider);
+  if (['pending', 'authorized'].includes(payment.status)) {
+    const result = await provider.cancel({ providerId: payment.providerId });
+    await setPaymentStatus(payment, result.status);
+  } else if (payment.status === 'captured') {
+    const result = await provider.refund({ providerId: payment.providerId, amount: payment.capturedAmount });
+    if (result.status === 'refunded') {
+      payment.refundedAmount = payment.capturedAmount;
+      await setPaymentStatus(payment, 'refunded');
+    } else {
+      payment.failureReason = result.failureReason;
+      await payment.save();
+    }
+  }
+};
+
+// Move money after an order's status changed: capture on delivery, release or
+// refund on cancellation. The status change stands even if the provider fails;
+// the failure is logged and left on the payment.
+const settleOrderPayment = async (order) => {
+  if (!order.payment || !['delivered', 'cancelled'].includes(order.status)) return;
+
+  try {
+    const payment = await Payment.findById(order.payment);
+    if (!payment) return;
+
+    if (order.status === 'delivered' && payment.status === 'authorized') {
+      await capturePayment(payment, order);
+    } else if (order.status === 'cancelled') {
+      await releasePayment(payment);
+    }
+
+    order.paymentStatus = paymentStatusFor(payment);
+  } catch (error) {
+    console.error(`Error settling payment for order ${order._id}:`, error);
+  }
+};
+
+module.exports = {
+  orderPaymentStatus,
+  handleWebhook,
+  startPayment,
+  settleOrderPayment
+};
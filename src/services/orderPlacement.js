@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Community = require('../models/Community');
+const { priceItems, priceBreakdown, refreshDeliveryDiscounts } = require('./orderPricing');
+const { InsufficientStockError, reserveStock } = require('./inventory');
+const { CouponUnavailableError, findUsableCoupon, redeemCoupon, couponTerms } = require('./coupons');
+const { splitDeliveryFee } = require('./deliveryFees');
+const { nextDeliverySlots, resolveDeliveryDate } = require('./scheduling');
+const { orderSnapshot } = require('./orderStatus');
+const { emitEvent } = require('./events');
+
+// Place an order for a community delivery: pick the delivery slot, snapshot
+// prices, apply bulk tiers and an optional coupon, reserve stock, save and
+// re-split the delivery fee with the new member, all-or-nothing. `withinTransaction(session, order)`
+// runs extra writes (e.g. emptying a cart) in the same transaction, and
+// `recurringOrder` links the order to the template it was created from.
+// Returns { order } or { error: { status, message, ...details } }.
+const placeOrder = async ({ user, communityId, items, deliveryDate, snapToNextSlot, couponCode, recurringOrder, withinTransaction }) => {
+  const community = await Community.findById(communityId);
+  if (!community) {
+    return { error: { status: 404, message: 'Community not found' } };
+  }
+
+  // Deliveries only happen in the community's slots; default to the next open one
+  let slot;
+  if (deliveryDate) {
+    const resolved = resolveDeliveryDate(community, deliveryDate, { snap: snapToNextSlot });
+    if (resolved.error) {
+      return {
+        error: {
+          status: 400,
+          message: resolved.error,
+          slots: nextDeliverySlots(community, { openOnly: true })
+        }
+      };
+    }
+    slot = resolved.slot;
+  } else {
+    [slot] = nextDeliverySlots(community, { count: 1, openOnly: true });
+  }
+
+  // Snapshot each article's name, unit and price at purchase time
+  const { orderItems, totalAmount: subtotal, missingArticles } = await priceItems(items);
+  if (missingArticles.length > 0) {
+    return { error: { status: 400, message: 'Some articles do not exist', articles: missingArticles } };
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    const usable = await findUsableCoupon(couponCode, { user, communityId: community._id, subtotal });
+    if (usable.error) {
+      return { error: usable.error };
+    }
+    coupon = usable.coupon;
+  }
+
+  const breakdown = await priceBreakdown(orderItems, {
+    community: community._id,
+    deliveryDate: slot.start,
+    coupon
+  });
+
+  const order = new Order({
+    user: user._id,
+    community: community._id,
+    items: orderItems,
+    ...breakdown,
+    coupon: coupon ? couponTerms(coupon) : undefined,
+    deliveryDate: slot.start,
+    cutoffAt: slot.orderCutoff,
+    recurringOrder,
+    status: 'pending',
+    statusHistory: [{ status: 'pending', changedBy: user._id }]
+  });
+
+  // Reserve stock and save the order together, so a failed order never holds stock
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await reserveStock(order, { session, user });
+      if (coupon) {
+        await redeemCoupon(coupon, { session });
+      }
+      await order.save({ session });
+      await splitDeliveryFee({ community: community._id, deliveryDate: order.deliveryDate, session, current: [order] });
+      if (withinTransaction) {
+        await withinTransaction(session, order);
+      }
+    });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return { error: { status: 409, message: error.message, items: error.items } };
+    }
+    if (error instanceof CouponUnavailableError) {
+      return { error: { status: 409, message: error.message } };
+    }
+    throw error;
+  }
+
+  // This order may have pushed the community into a bulk tier for earlier orders too
+  if (order.discounts.some(discount => discount.type === 'bulk')) {
+    await refreshDeliveryDiscounts({ community: community._id, deliveryDate: order.deliveryDate, excludeOrder: order._id })
+      .catch(err => console.error('Error refreshing bulk discounts:', err));
+  }
+
+  emitEvent('order.created', {
+    order: orderSnapshot(order),
+    recurringOrder
+  });
+
+  return { order };
+};
+
+module.exports = {
+  placeOrder
+};
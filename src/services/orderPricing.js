@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Order = require('../models/Order');
+
+// Times an order is priced again when it changes while its discounts are refreshed
+const MAX_REFRESH_ATTEMPTS = 3;
+
+// Round a money amount to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Capture the article's name, unit and price as they are at purchase time
+const snapshotItem = (article, quantity) => ({
+  article: article._id,
+  name: article.name,
+  unit: article.unit,
+  unitPrice: article.price,
+  quantity: Number(quantity),
+  lineTotal: roundAmount(article.price * quantity)
+});
+
+// Sum the line totals of snapshotted order items
+const sumLineTotals = (items) => roundAmount(
+  items.reduce((total, item) => total + item.lineTotal, 0)
+);
+
+// Amount charged for an order: its items after discounts, plus its share of the
+// delivery fee. Orders from before discounts existed fall back to their line totals.
+const orderTotal = ({ subtotal, items, discountTotal = 0, deliveryFee = 0 }) =>
+  roundAmount((subtotal ?? sumLineTotals(items)) - discountTotal + deliveryFee);
+
+// Price requested items ({ article, quantity }) against the current catalog.
+// Returns the snapshotted order items, their total and the ids of unknown articles.
+const priceItems = async (items) => {
+  const articleIds = items.map(item => item.article);
+  const articles = await Article.find({ _id: { $in: articleIds } });
+
+  // Create a map of articles for quick lookup
+  const articleMap = articles.reduce((map, article) => {
+    map[article._id.toString()] = article;
+    return map;
+  }, {});
+
+  const missingArticles = items
+    .filter(item => !articleMap[item.article.toString()])
+    .map(item => item.article.toString());
+
+  const orderItems = items
+    .filter(item => articleMap[item.article.toString()])
+    .map(item => snapshotItem(articleMap[item.article.toString()], item.quantity));
+
+  return {
+    orderItems,
+    totalAmount: sumLineTotals(orderItems),
+    missingArticles
+  };
+};
+
+// Quantity of each article in a list of items, keyed by article id
+const quantitiesByArticle = (items) => items.reduce((quantities, item) => {
+  const id = item.article.toString();
+  quantities.set(id, (quantities.get(id) || 0) + Number(item.quantity));
+  return quantities;
+}, new Map());
+
+// The most generous bulk tier reached at a quantity, or null
+const bestTier = (tiers = [], quantity) => tiers
+  .filter(tier => quantity >= tier.minQuantity)
+  .reduce((best, tier) => (!best || tier.discountPercent > best.discountPercent ? tier : best), null);
+
+// Combined quantity of each article in a community's active orders for a delivery
+const deliveryQuantities = async ({ community, deliveryDate, excludeOrder, session }) => {
+  const match = { community, deliveryDate, status: { $ne: 'cancelled' } };
+  if (excludeOrder) {
+    match._id = { $ne: excludeOrder };
+  }
+
+  const rows = await Order.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.article', quantity: { $sum: '$items.quantity' } } }
+  ]).session(session || null);
+
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// Work out the discounts and total of snapshotted order items. Bulk tiers count
+// the community's combined quantity for the delivery, this order included; a
+// coupon (or the coupon terms stored on an order) applies to what is left. The
+// order's share of the delivery fee is added on top.
+// `community`, `deliveryDate` and `excludeOrder` must be ObjectIds and a Date.
+const priceBreakdown = async (items, { community, deliveryDate, coupon, excludeOrder, deliveryFee = 0, session }) => {
+  const subtotal = sumLineTotals(items);
+  const discounts = [];
+
+  const tiered = await Article.find({
+    _id: { $in: items.map(item => item.article) },
+    'bulkTiers.0': { $exists: true }
+  }).session(session || null);
+
+  if (tiered.length > 0) {
+    const tiers = new Map(tiered.map(article => [article._id.toString(), article.bulkTiers]));
+    const others = await deliveryQuantities({ community, deliveryDate, excludeOrder, session });
+    const own = quantitiesByArticle(items);
+
+    for (const item of items) {
+      const id = item.article.toString();
+      const tier = bestTier(tiers.get(id), (others.get(id) || 0) + own.get(id));
+      if (tier && tier.discountPercent > 0) {
+        discounts.push({
+          type: 'bulk',
+          article: item.article,
+          description: `${tier.discountPercent}% off ${item.name}: the community ordered ${tier.minQuantity} or more`,
+          amount: roundAmount(item.lineTotal * tier.discountPercent / 100)
+        });
+      }
+    }
+  }
+
+  if (coupon) {
+    const remaining = roundAmount(subtotal - discounts.reduce((total, discount) => total + discount.amount, 0));
+    const percentage = coupon.type === 'percentage';
+    discounts.push({
+      type: 'coupon',
+      code: coupon.code,
+      description: percentage ? `${coupon.value}% off with ${coupon.code}` : `${coupon.value} off with ${coupon.code}`,
+      amount: percentage ? roundAmount(remaining * coupon.value / 100) : Math.min(coupon.value, remaining)
+    });
+  }
+
+  const discountTotal = roundAmount(discounts.reduce((total, discount) => total + discount.amount, 0));
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    totalAmount: orderTotal({ subtotal, discountTotal, deliveryFee })
+  };
+};
+
+// Re-price a pending order with the delivery's current bulk tiers, if that lowers
+// its total. Orders are saved with the version they were read at, so a delivery fee
+// split or edit in between is never overwritten with a total computed from stale
+// values: the order is read and priced again instead.
+const refreshOrderDiscounts = async (orderId, { community, deliveryDate }) => {
+  for (let attempt = 1; ; attempt++) {
+    const order = await Order.findOne({ _id: orderId, status: 'pending' });
+    if (!order) return;
+
+    const breakdown = await priceBreakdown(order.items, {
+      community,
+      deliveryDate,
+      coupon: order.coupon?.code ? order.coupon : null,
+      excludeOrder: order._id,
+      deliveryFee: order.deliveryFee
+    });
+    if (breakdown.totalAmount >= order.totalAmount) return;
+
+    order.set(breakdown);
+    try {
+      await order.save();
+      return;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_REFRESH_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Give the other pending orders of a delivery the bulk tiers the community has
+// reached since they were placed. Totals only ever go down here.
+const refreshDeliveryDiscounts = async ({ community, deliveryDate, excludeOrder }) => {
+  const orders = await Order.find({ community, deliveryDate, status: 'pending', _id: { $ne: excludeOrder } })
+    .select('_id');
+
+  for (const { _id } of orders) {
+    await refreshOrderDiscounts(_id, { community, deliveryDate });
+  }
+};
+
+module.exports = {
+  roundAmount,
+  snapshotItem,
+  sumLineTotals,
+  orderTotal,
+  priceItems,
+  quantitiesByArticle,
+  bestTier,
+  priceBreakdown,
+  refreshDeliveryDiscounts
+};
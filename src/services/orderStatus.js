@@ -0,0 +1,119 @@
+const { hasPermission } = require('../config/permissions');
+
+// Allowed status transitions and who may perform them.
+// 'owner' is the customer who placed the order, 'staff' anyone with order:manage.
+const transitions = {
+  pending: {
+    processing: ['staff'],
+    cancelled: ['owner', 'staff']
+  },
+  processing: {
+    delivered: ['staff'],
+    cancelled: ['staff']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Roles the user plays for this order
+const actorsFor = (order, user) => {
+  const actors = [];
+  if (order.user.equals(user._id)) actors.push('owner');
+  if (hasPermission(user.role, 'order:manage')) actors.push('staff');
+  return actors;
+};
+
+// Check whether a user may move an order to a status.
+// Returns null when allowed, otherwise { status, message } describing the HTTP error.
+const checkTransition = (order, status, user) => {
+  const allowedActors = transitions[order.status]?.[status];
+  if (!allowedActors) {
+    return {
+      status: 409,
+      message: `Cannot change order status from ${order.status} to ${status}`
+    };
+  }
+
+  const actors = actorsFor(order, user);
+  if (!allowedActors.some(actor => actors.includes(actor))) {
+    return {
+      status: 403,
+      message: `You are not allowed to change this order from ${order.status} to ${status}`
+    };
+  }
+
+  // Customers cannot change their order once the community's cutoff has passed
+  if (!actors.includes('staff') && order.isLocked) {
+    return {
+      status: 409,
+      message: `Order is locked: changes closed at ${(order.cutoffAt || order.deliveryDate).toISOString()}`
+    };
+  }
+
+  return null;
+};
+
+// Check whether a user may change an order's items.
+// Returns null when allowed, otherwise { status, message } describing the HTTP error.
+const checkEdit = (order, user) => {
+  if (order.status !== 'pending') {
+    return {
+      status: 409,
+      message: `Only pending orders can be edited; this order is ${order.status}`
+    };
+  }
+
+  if (!actorsFor(order, user).includes('staff') && order.isLocked) {
+    return {
+      status: 409,
+      message: `Order is locked: changes closed at ${(order.cutoffAt || order.deliveryDate).toISOString()}`
+    };
+  }
+
+  // The payment covers the total it was started for
+  if (['pending', 'authorized'].includes(order.paymentStatus)) {
+    return {
+      status: 409,
+      message: `Order payment is ${order.paymentStatus}; the items can no longer be changed`
+    };
+  }
+
+  return null;
+};
+
+// Move an order to a status and record it in the status history
+const applyTransition = (order, status, user, note) => {
+  order.status = status;
+  order.statusHistory.push({
+    status,
+    changedBy: user._id,
+    note
+  });
+};
+
+// The order as events describe it, as it is at the moment of the event
+const orderSnapshot = (order) => ({
+  id: order._id,
+  user: order.user,
+  community: order.community,
+  status: order.status,
+  deliveryDate: order.deliveryDate,
+  items: order.items.map(({ article, name, unit, unitPrice, quantity, lineTotal }) =>
+    ({ article, name, unit, unitPrice, quantity, lineTotal })),
+  subtotal: order.subtotal,
+  discountTotal: order.discountTotal,
+  deliveryFee: order.deliveryFee,
+  totalAmount: order.totalAmount
+});
+
+// Statuses reachable from the order's current status
+const nextStatuses = (order) => Object.keys(transitions[order.status] || {});
+
+module.exports = {
+  transitions,
+  checkTransition,
+  checkEdit,
+  applyTransition,
+  orderSnapshot,
+  nextStatuses
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Read page and limit from the query string (validated upstream)
+const parsePageParams = (query) => {
+  const limit = Math.min(Number(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const page = Math.max(Number(query.page) || 1, 1);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Relative link to the current request with some query params replaced
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, String(value));
+    }
+  });
+  return url.pathname + url.search;
+};
+
+// Response envelope for a page-based list
+const pageEnvelope = (req, { data, total, page, limit }) => {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    data,
+    pagination: { total, page, limit, totalPages },
+    links: {
+      self: linkTo(req, { page, limit }),
+      next: page < totalPages ? linkTo(req, { page: page + 1, limit }) : null,
+      prev: page > 1 ? linkTo(req, { page: page - 1, limit }) : null
+    }
+  };
+};
+
+// Opaque cursor pointing just past an item in a list sorted by `field` then _id
+const encodeCursor = (item, field) => {
+  const value = item[field];
+  const payload = value instanceof Date
+    ? { v: value.toISOString(), t: 'date', id: item._id.toString() }
+    : { v: value, id: item._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor; returns null for anything malformed. The value ends up in a
+// query filter, so only plain strings, finite numbers and dates are accepted.
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!payload || typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id)) return null;
+
+    if (payload.t === 'date') {
+      const date = typeof payload.v === 'string' ? new Date(payload.v) : null;
+      if (!date || Number.isNaN(date.getTime())) return null;
+      return { value: date, id: payload.id };
+    }
+    if (payload.t !== undefined) return null;
+    if (typeof payload.v !== 'string' && !(typeof payload.v === 'number' && Number.isFinite(payload.v))) return null;
+    return { value: payload.v, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check that a query string cursor can be decoded (for validators)
+const isValidCursor = (cursor) => decodeCursor(cursor) !== null;
+
+// Read limit and cursor from the query string (validated upstream)
+const parseCursorParams = (query) => ({
+  limit: Math.min(Number(query.limit) || DEFAULT_LIMIT, MAX_LIMIT),
+  cursor: query.cursor ? decodeCursor(query.cursor) : null
+});
+
+// Filter selecting the items after a cursor, for a sort on `field` (1 or -1) then _id
+const afterCursor = (cursor, field, direction) => {
+  if (!cursor) return {};
+  const op = direction === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Mongo sort for a cursor list
+const cursorSort = (field, direction) => ({ [field]: direction, _id: direction });
+
+// Response envelope for a cursor-based list. Fetch `limit + 1` items so it can
+// tell whether there is a next page; the extra item is dropped.
+const cursorEnvelope = (req, { items, total, limit, field }) => {
+  const data = items.slice(0, limit);
+  const nextCursor = items.length > limit ? encodeCursor(data[data.length - 1], field) : null;
+
+  return {
+    data,
+    pagination: { total, limit, nextCursor },
+    links: {
+      self: linkTo(req, { limit }),
+      next: nextCursor ? linkTo(req, { cursor: nextCursor, limit }) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageParams,
+  linkTo,
+  pageEnvelope,
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  parseCursorParams,
+  afterCursor,
+  cursorSort,
+  cursorEnvelope
+};
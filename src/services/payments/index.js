@@ -0,0 +1,45 @@
+const createMockProvider = require('./mockProvider');
+
+// Available providers. Each exposes:
+// - createIntent({ amount, currency, reference, options }) -> { providerId, status, failureReason? }
+//   where status is pending, authorized or failed
+// - capture({ providerId, amount }) -> { status: 'captured' | 'failed', failureReason? }
+// - cancel({ providerId }) -> { status: 'cancelled' }
+// - refund({ providerId, amount }) -> { status: 'refunded' | 'failed', failureReason? }
+// - parseWebhook({ rawBody, headers }) -> { id, type, providerId, failureReason? },
+//   throwing if the callback's signature does not check out
+const providerFactories = {
+  mock: createMockProvider
+};
+
+// Providers only available while they are the active one: the mock provider
+// authorizes payments without taking any money
+const activeOnlyProviders = ['mock'];
+
+const providers = {};
+
+// Register a provider (e.g. Stripe or Mollie) under a name
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  delete providers[name];
+};
+
+// A provider by name, created on first use; null if it is not registered or not available
+const getProvider = (name) => {
+  if (activeOnlyProviders.includes(name) && name !== activeProviderName()) {
+    return null;
+  }
+  if (!Object.hasOwn(providers, name) && Object.hasOwn(providerFactories, name)) {
+    providers[name] = providerFactories[name]();
+  }
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+};
+
+// Name of the provider new payments go through
+const activeProviderName = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  activeProviderName
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Sign a callback body the way the mock provider does
+const sign = (rawBody, secret) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// A local stand-in for a payment provider, so the whole payment flow runs offline.
+// The outcome of an intent is picked by its scenario:
+// - succeed: authorized straight away
+// - fail: declined straight away
+// - delay: pending, then confirmed by a callback after MOCK_PAYMENT_DELAY_MS
+// - delay-fail: pending, then declined by a callback after MOCK_PAYMENT_DELAY_MS
+// Callbacks are signed like a real provider's webhooks and handed to `deliver`,
+// which the payment service points at its webhook handler. Without a configured
+// secret each process signs with a random one, so callbacks cannot be forged.
+const createMockProvider = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+  const delayMs = Number(process.env.MOCK_PAYMENT_DELAY_MS) || 2000;
+
+  const provider = {
+    scenarios: ['succeed', 'fail', 'delay', 'delay-fail'],
+    deliver: null,
+
+    // Send a signed callback as the provider would
+    sendCallback(event) {
+      const rawBody = Buffer.from(JSON.stringify({ id: `evt_${crypto.randomUUID()}`, ...event }));
+      if (!provider.deliver) return Promise.resolve();
+      return provider.deliver({ rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody, secret) } });
+    },
+
+    async createIntent({ options = {} }) {
+      const scenario = options.scenario || process.env.MOCK_PAYMENT_SCENARIO || 'succeed';
+      if (!provider.scenarios.includes(scenario)) {
+        throw new Error(`Unknown mock payment scenario: ${scenario}`);
+      }
+
+      const providerId = `mock_${crypto.randomUUID()}`;
+      if (scenario === 'fail') {
+        return { providerId, status: 'failed', failureReason: 'Card declined (mock)' };
+      }
+      if (scenario === 'succeed') {
+        return { providerId, status: 'authorized' };
+      }
+
+      setTimeout(() => {
+        const event = scenario === 'delay'
+          ? { type: 'payment.authorized', providerId }
+          : { type: 'payment.failed', providerId, failureReason: 'Card declined (mock)' };
+        provider.sendCallback(event).catch(err => console.error('Error delivering mock payment callback:', err));
+      }, delayMs).unref();
+
+      return { providerId, status: 'pending' };
+    },
+
+    async capture() {
+      return { status: 'captured' };
+    },
+
+    async cancel() {
+      return { status: 'cancelled' };
+    },
+
+    async refund() {
+      return { status: 'refunded' };
+    },
+
+    parseWebhook({ rawBody, headers }) {
+      const expected = Buffer.from(sign(rawBody, secret));
+      const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+      }
+      return JSON.parse(rawBody.toString());
+    }
+  };
+
+  return provider;
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,114 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { roundAmount } = require('./orderPricing');
+const { localDayRange } = require('./scheduling');
+
+// All live (not cancelled) orders of a community for a delivery date (in its time zone),
+// with their users. Orders of deleted accounts keep the user id with a placeholder name.
+const findDeliveryOrders = async (community, deliveryDate) => {
+  const { start, end } = localDayRange(community, deliveryDate);
+  const orders = await Order.find({
+    community: community._id,
+    deliveryDate: { $gte: start, $lt: end },
+    status: { $ne: 'cancelled' }
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const users = await User.find({ _id: { $in: orders.map(order => order.user) } })
+    .select('username email')
+    .lean();
+  const userMap = new Map(users.map(user => [user._id.toString(), user]));
+
+  return orders.map(order => ({
+    ...order,
+    user: userMap.get(order.user.toString()) || { _id: order.user, username: 'Deleted user', email: null }
+  }));
+};
+
+// Consolidate every member's order into one list: total quantity per article
+// with a per-member breakdown, plus the combined value of the delivery
+const buildPickingList = (orders) => {
+  const articles = new Map();
+
+  orders.forEach(order => {
+    order.items.forEach(item => {
+      const key = item.article.toString();
+      if (!articles.has(key)) {
+        articles.set(key, {
+          article: item.article,
+          name: item.name,
+          unit: item.unit,
+          totalQuantity: 0,
+          totalValue: 0,
+          members: []
+        });
+      }
+
+      const line = articles.get(key);
+      line.totalQuantity += item.quantity;
+      line.totalValue = roundAmount(line.totalValue + item.lineTotal);
+
+      const member = line.members.find(m => m.user.equals(order.user._id));
+      if (member) {
+        member.quantity += item.quantity;
+      } else {
+        line.members.push({ user: order.user._id, username: order.user.username, quantity: item.quantity });
+      }
+    });
+  });
+
+  const items = [...articles.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    orderCount: orders.length,
+    memberCount: new Set(orders.map(order => order.user._id.toString())).size,
+    totalValue: roundAmount(items.reduce((total, item) => total + item.totalValue, 0)),
+    items
+  };
+};
+
+// One packing slip per member, merging the member's orders for the delivery
+const buildPackingSlips = (orders) => {
+  const slips = new Map();
+
+  orders.forEach(order => {
+    const key = order.user._id.toString();
+    if (!slips.has(key)) {
+      slips.set(key, {
+        user: order.user,
+        orders: [],
+        items: [],
+        totalAmount: 0
+      });
+    }
+
+    const slip = slips.get(key);
+    slip.orders.push(order._id);
+    slip.totalAmount = roundAmount(slip.totalAmount + order.totalAmount);
+
+    order.items.forEach(item => {
+      const existing = slip.items.find(i => i.article.equals(item.article));
+      if (existing) {
+        existing.quantity += item.quantity;
+        existing.lineTotal = roundAmount(existing.lineTotal + item.lineTotal);
+      } else {
+        slip.items.push({
+          article: item.article,
+          name: item.name,
+          unit: item.unit,
+          quantity: item.quantity,
+          lineTotal: item.lineTotal
+        });
+      }
+    });
+  });
+
+  return [...slips.values()].sort((a, b) => a.user.username.localeCompare(b.user.username));
+};
+
+module.exports = {
+  findDeliveryOrders,
+  buildPickingList,
+  buildPackingSlips
+};
@@ -0,0 +1,32 @@
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+// Available stores; each exposes increment(key, windowMs) and reset(key)
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let defaultStore = null;
+
+// Register a store (e.g. Redis) under a name
+const registerStore = (name, factory) => {
+  storeFactories[name] = factory;
+};
+
+// The store picked by RATE_LIMIT_STORE, created on first use
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!storeFactories[name]) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    defaultStore = storeFactories[name]();
+  }
+  return defaultStore;
+};
+
+module.exports = {
+  registerStore,
+  getDefaultStore
+};
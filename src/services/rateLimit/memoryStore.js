@@ -0,0 +1,31 @@
+// Keeps counters in process memory; fine for a single API instance
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Forget windows that are over so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  const increment = async (key, windowMs) => {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  };
+
+  const reset = async (key) => {
+    counters.delete(key);
+  };
+
+  return { increment, reset };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,38 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Keeps counters in MongoDB so limits hold across several API instances
+const createMongoStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    try {
+      // Single atomic update: bump the count, or start a new window if the old one is over
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (error) {
+      // Two instances upserting the same new key at once; the second retry finds the document
+      if (error.code === 11000 && !retried) {
+        return increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  };
+
+  const reset = async (key) => {
+    await RateLimitCounter.deleteOne({ key });
+  };
+
+  return { increment, reset };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,204 @@
+const Article = require('../models/Article');
+const Community = require('../models/Community');
+const RecurringOrder = require('../models/RecurringOrder');
+const User = require('../models/User');
+const { placeOrder } = require('./orderPlacement');
+const { nextDeliverySlots } = require('./scheduling');
+const { sendMail } = require('./mail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long before a delivery's order cutoff its recurring orders are placed
+const LEAD_HOURS = Number(process.env.RECURRING_ORDER_LEAD_HOURS) || 48;
+
+// Number of past runs kept on each recurring order
+const MAX_RUNS = 20;
+
+const intervalWeeks = {
+  weekly: 1,
+  biweekly: 2,
+  'four-weekly': 4
+};
+
+// Raised when another scheduler run already ordered this delivery
+class DeliveryAlreadyOrderedError extends Error {
+  constructor() {
+    super('Delivery already ordered');
+    this.name = 'DeliveryAlreadyOrderedError';
+  }
+}
+
+// Earliest start of the next delivery to order. Leaves a few days of slack so a
+// change of the community's delivery day does not skip a week.
+const earliestNextDelivery = ({ startDate, lastDeliveryDate, frequency }) => {
+  if (!lastDeliveryDate) return startDate;
+  const next = new Date(lastDeliveryDate.getTime() + (intervalWeeks[frequency] * 7 - 3) * DAY_MS);
+  return next > startDate ? next : startDate;
+};
+
+// The delivery slot a recurring order will order for next, or null once it has run out
+const nextRecurringDelivery = (recurringOrder, community, now = new Date()) => {
+  const earliest = earliestNextDelivery(recurringOrder);
+  const [slot] = nextDeliverySlots(community, {
+    count: 1,
+    from: earliest > now ? earliest : now,
+    openOnly: true,
+    now
+  });
+
+  if (!slot || (recurringOrder.endDate && slot.start > recurringOrder.endDate)) {
+    return null;
+  }
+  return { ...slot, placeAt: new Date(slot.orderCutoff.getTime() - LEAD_HOURS * 60 * 60 * 1000) };
+};
+
+// Split items into those that can be ordered right now and those that have to be skipped
+const checkItems = async (items) => {
+  const articles = await Article.find({ _id: { $in: items.map(item => item.article) } });
+  const articleMap = articles.reduce((map, article) => {
+    map[article._id.toString()] = article;
+    return map;
+  }, {});
+
+  const orderable = [];
+  const skipped = [];
+  for (const { article: articleId, quantity } of items) {
+    const article = articleMap[articleId.toString()];
+    if (!article) {
+      skipped.push({ article: articleId, quantity, reason: 'Article no longer exists' });
+    } else if (!article.isAvailable) {
+      skipped.push({ article: article._id, name: article.name, quantity, reason: 'Not available' });
+    } else if (article.stock !== null && article.stock < quantity) {
+      skipped.push({ article: article._id, name: article.name, quantity, reason: `Only ${article.stock} left in stock` });
+    } else {
+      orderable.push({ article: article._id, quantity });
+    }
+  }
+
+  return { orderable, skipped };
+};
+
+// Tell the user what was ordered for them and what was left out
+const sendRunReport = async (user, run, order) => {
+  const lines = [];
+  if (order) {
+    lines.push(`Your recurring order for the delivery of ${run.deliveryDate.toISOString()} has been placed (total ${order.totalAmount}).`);
+  } else {
+    lines.push(`Your recurring order for the delivery of ${run.deliveryDate.toISOString()} could not be placed: ${run.error}.`);
+  }
+  if (run.skipped.length > 0) {
+    lines.push('', 'These items were skipped:');
+    for (const item of run.skipped) {
+      lines.push(`- ${item.name || item.article} x ${item.quantity}: ${item.reason}`);
+    }
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: order ? 'Your recurring PicnicHood order was placed' : 'Your recurring PicnicHood order could not be placed',
+    text: `Hi ${user.username},\n\n${lines.join('\n')}`
+  });
+};
+
+// Record a run and move the recurring order on to its next delivery, unless another
+// scheduler run got there first
+const recordRun = (recurringOrder, run, session) => RecurringOrder.updateOne(
+  { _id: recurringOrder._id, lastDeliveryDate: recurringOrder.lastDeliveryDate || null },
+  {
+    $set: { lastDeliveryDate: run.deliveryDate },
+    $push: { runs: { $each: [run], $slice: -MAX_RUNS } }
+  },
+  { session }
+);
+
+// Place the order for a recurring order's next delivery once it is due.
+// Returns the run that was recorded, or null if nothing was due.
+const materializeRecurringOrder = async (recurringOrder, now = new Date()) => {
+  const [community, user] = await Promise.all([
+    Community.findById(recurringOrder.community),
+    User.findById(recurringOrder.user)
+  ]);
+  if (!community || !user) {
+    recurringOrder.status = 'ended';
+    await recurringOrder.save();
+    return null;
+  }
+
+  const slot = nextRecurringDelivery(recurringOrder, community, now);
+  if (!slot) {
+    if (recurringOrder.endDate && recurringOrder.endDate <= now) {
+      recurringOrder.status = 'ended';
+      await recurringOrder.save();
+    }
+    return null;
+  }
+
+  // Order as late as possible so the order reflects the current catalog
+  if (slot.placeAt > now) return null;
+
+  const { orderable, skipped } = await checkItems(recurringOrder.items);
+  const run = { deliveryDate: slot.start, skipped, createdAt: now };
+
+  let order = null;
+  if (orderable.length === 0) {
+    run.error = 'None of the items are available';
+  } else {
+    try {
+      const placed = await placeOrder({
+        user,
+        communityId: community._id,
+        items: orderable,
+        deliveryDate: slot.start,
+        recurringOrder: recurringOrder._id,
+        withinTransaction: async (session, placedOrder) => {
+          const result = await recordRun(recurringOrder, { ...run, order: placedOrder._id }, session);
+          if (result.modifiedCount !== 1) {
+            throw new DeliveryAlreadyOrderedError();
+          }
+        }
+      });
+      if (placed.error) {
+        run.error = placed.error.message;
+      } else {
+        order = placed.order;
+        run.order = order._id;
+      }
+    } catch (error) {
+      if (error instanceof DeliveryAlreadyOrderedError) return null;
+      throw error;
+    }
+  }
+
+  // Failed runs are recorded too, so the delivery is not retried every tick
+  if (!order) {
+    const result = await recordRun(recurringOrder, run);
+    if (result.modifiedCount !== 1) return null;
+  }
+
+  await sendRunReport(user, run, order).catch(err =>
+    console.error('Error sending recurring order report:', err)
+  );
+  return run;
+};
+
+// Place the orders of every active recurring order whose next delivery is due
+const materializeDueRecurringOrders = async (now = new Date()) => {
+  const recurringOrders = await RecurringOrder.find({ status: 'active' });
+  let placed = 0;
+  for (const recurringOrder of recurringOrders) {
+    try {
+      const run = await materializeRecurringOrder(recurringOrder, now);
+      if (run && run.order) placed++;
+    } catch (error) {
+      console.error(`Error placing recurring order ${recurringOrder._id}:`, error);
+    }
+  }
+  return placed;
+};
+
+module.exports = {
+  intervalWeeks,
+  nextRecurringDelivery,
+  materializeRecurringOrder,
+  materializeDueRecurringOrders
+};
@@ -0,0 +1,187 @@
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Amsterdam';
+const DEFAULT_CUTOFF_HOURS = 24;
+
+// Local delivery windows for each delivery time preference, in whole hours
+const timeSlots = {
+  Morning: { startHour: 8, endHour: 12 },
+  Afternoon: { startHour: 12, endHour: 17 },
+  Evening: { startHour: 17, endHour: 21 }
+};
+
+// Check that a string is an IANA time zone the runtime knows about
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date and wall-clock time of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+const timeZoneOffset = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant at which a local date and hour occur in a time zone
+const zonedTimeToUtc = ({ year, month, day }, hour, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const offset = timeZoneOffset(new Date(guess), timeZone);
+  // Re-check with the offset at the result in case a DST change sits in between
+  const correctedOffset = timeZoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - correctedOffset);
+};
+
+// Format a calendar date as YYYY-MM-DD
+const formatLocalDate = ({ year, month, day }) =>
+  [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+
+// Calendar date a client meant: date-only strings are taken as the community's
+// local date, anything else is converted from its instant
+const toLocalDate = (value, timeZone) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  }
+  const { year, month, day } = zonedParts(new Date(value), timeZone);
+  return { year, month, day };
+};
+
+// Add days to a calendar date
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Day of the week of a calendar date
+const weekdayOf = ({ year, month, day }) => WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+// Time zone a community's schedule is expressed in
+const communityTimeZone = (community) => community.timezone || DEFAULT_TIMEZONE;
+
+// Hours before a delivery at which the community stops taking order changes
+const communityCutoffHours = (community) => community.orderCutoffHours ?? DEFAULT_CUTOFF_HOURS;
+
+// The delivery slot for a community on a local calendar date
+const buildSlot = (community, localDate) => {
+  const timeZone = communityTimeZone(community);
+  const { deliveryTime } = community.preferences;
+  const window = timeSlots[deliveryTime] || timeSlots.Morning;
+  const start = zonedTimeToUtc(localDate, window.startHour, timeZone);
+
+  return {
+    date: formatLocalDate(localDate),
+    deliveryDay: weekdayOf(localDate),
+    deliveryTime,
+    timeZone,
+    start,
+    end: zonedTimeToUtc(localDate, window.endHour, timeZone),
+    orderCutoff: new Date(start.getTime() - communityCutoffHours(community) * 60 * 60 * 1000)
+  };
+};
+
+// Start and end instants of a local calendar day in a community's time zone
+const localDayRange = (community, value) => {
+  const timeZone = communityTimeZone(community);
+  const localDate = toLocalDate(value, timeZone);
+  return {
+    start: zonedTimeToUtc(localDate, 0, timeZone),
+    end: zonedTimeToUtc(addDays(localDate, 1), 0, timeZone)
+  };
+};
+
+// The next `count` delivery slots of a community that start after `from`.
+// With `openOnly`, slots whose order cutoff has passed by `now` are skipped.
+const nextDeliverySlots = (community, { count = 4, from = new Date(), openOnly = false, now = new Date() } = {}) => {
+  const timeZone = communityTimeZone(community);
+  let localDate = toLocalDate(from, timeZone);
+  const slots = [];
+
+  // Deliveries are weekly, so a slot turns up at least every 8 days
+  for (let i = 0; slots.length < count && i < count * 7 + 8; i++) {
+    if (weekdayOf(localDate) === community.preferences.deliveryDay) {
+      const slot = buildSlot(community, localDate);
+      if (slot.start > from && (!openOnly || slot.orderCutoff > now)) {
+        slots.push(slot);
+      }
+    }
+    localDate = addDays(localDate, 1);
+  }
+
+  return slots;
+};
+
+// Match a requested delivery date against the community's schedule; only slots
+// still open for ordering count. Returns { slot } for a valid date, { slot, snapped: true }
+// when `snap` moved it to the next open slot, or { error } when the date does not fit.
+const resolveDeliveryDate = (community, requested, { snap = false, now = new Date() } = {}) => {
+  const timeZone = communityTimeZone(community);
+  const localDate = toLocalDate(requested, timeZone);
+
+  if (weekdayOf(localDate) === community.preferences.deliveryDay) {
+    const slot = buildSlot(community, localDate);
+    if (slot.orderCutoff > now) {
+      return { slot };
+    }
+    if (slot.start > now && !snap) {
+      return { error: `Ordering for the ${slot.date} delivery closed at ${slot.orderCutoff.toISOString()}` };
+    }
+  }
+
+  if (snap) {
+    const requestedStart = zonedTimeToUtc(localDate, 0, timeZone);
+    const [slot] = nextDeliverySlots(community, {
+      count: 1,
+      from: requestedStart > now ? requestedStart : now,
+      openOnly: true,
+      now
+    });
+    return { slot, snapped: true };
+  }
+
+  return {
+    error: `${community.name} delivers on ${community.preferences.deliveryDay} ${community.preferences.deliveryTime}; ${formatLocalDate(localDate)} is not an upcoming delivery date`
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  DEFAULT_CUTOFF_HOURS,
+  timeSlots,
+  isValidTimeZone,
+  communityTimeZone,
+  communityCutoffHours,
+  localDayRange,
+  nextDeliverySlots,
+  resolveDeliveryDate
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token bound to a refresh token family
+const signAccessToken = (user, family) => jwt.sign(
+  { userId: user._id, tokenVersion: user.tokenVersion, sid: family },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Issue an access token and a new refresh token. Pass `family` to continue a
+// rotation chain; without it a new family (device session) is started.
+const issueTokens = async (user, { family = crypto.randomUUID(), req } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req && req.get('User-Agent'),
+    ip: req && req.ip
+  });
+
+  return {
+    token: signAccessToken(user, family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke every live token of a family
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every session of a user and invalidate their outstanding access tokens
+const revokeAllSessions = async (user, reason = 'logout-all') => {
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  user.tokenVersion += 1;
+  await user.save();
+};
+
+// Swap a refresh token for a new pair. A token that was already rotated or
+// revoked being presented again means it leaked, so its whole family is revoked.
+// Returns { tokens, user } or { error }.
+const rotateRefreshToken = async (rawToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      await revokeFamily(stored.family, 'reuse-detected');
+      return { error: 'Refresh token reuse detected; please log in again' };
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  // Only one concurrent rotation may win; a loser is treated like a reuse
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family, 'reuse-detected');
+    return { error: 'Refresh token reuse detected; please log in again' };
+  }
+
+  const tokens = await issueTokens(user, { family: stored.family, req });
+  return { tokens, user };
+};
+
+// Whether a refresh token family still has a live token
+const isSessionActive = (family) => RefreshToken.exists({
+  family,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  revokeFamily,
+  revokeAllSessions,
+  rotateRefreshToken,
+  isSessionActive
+};
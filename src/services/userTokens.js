@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokens');
+
+// Create a single-use token for a user, invalidating earlier unused ones for the same purpose
+const createUserToken = async (user, purpose, ttlMs) => {
+  await UserToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Use up a token. Returns the id of the user it belongs to, or null if it is
+// unknown, expired or already used.
+const consumeUserToken = async (token, purpose) => {
+  const userToken = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  return userToken ? userToken.user : null;
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
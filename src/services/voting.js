@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Community = require('../models/Community');
+const VotingRound = require('../models/VotingRound');
+const { emitEvent } = require('./events');
+
+// Options in the order the 'earliest' tie-break prefers them
+const options = {
+  deliveryDay: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  deliveryTime: ['Morning', 'Afternoon', 'Evening']
+};
+
+// Count the votes cast for each option of a field
+const tally = (votes, field) => options[field].reduce((counts, option) => {
+  counts[option] = votes.filter(vote => vote[field] === option).length;
+  return counts;
+}, {});
+
+// Pick the winning option of a field, applying the tie-break rule when several
+// options share the highest count. Without any votes the current value stays.
+const pickWinner = (votes, field, { tieBreak, current }) => {
+  const counts = tally(votes, field);
+  const max = Math.max(...Object.values(counts));
+  if (max === 0) {
+    return { value: current, tieBroken: false, counts };
+  }
+
+  const leaders = options[field].filter(option => counts[option] === max);
+  if (leaders.length === 1) {
+    return { value: leaders[0], tieBroken: false, counts };
+  }
+
+  let value = leaders[0];
+  if (tieBreak === 'keep-current' && leaders.includes(current)) {
+    value = current;
+  } else if (tieBreak === 'first-vote') {
+    // The leader that reached the winning count first
+    const running = {};
+    const ordered = votes
+      .filter(vote => vote[field])
+      .sort((a, b) => a.castAt - b.castAt);
+    for (const vote of ordered) {
+      running[vote[field]] = (running[vote[field]] || 0) + 1;
+      if (running[vote[field]] === max && leaders.includes(vote[field])) {
+        value = vote[field];
+        break;
+      }
+    }
+  }
+
+  return { value, tieBroken: true, counts };
+};
+
+// Work out the result of a round against the community's current preferences
+const computeResult = (round, community) => {
+  const day = pickWinner(round.votes, 'deliveryDay', {
+    tieBreak: round.tieBreak,
+    current: community.preferences.deliveryDay
+  });
+  const time = pickWinner(round.votes, 'deliveryTime', {
+    tieBreak: round.tieBreak,
+    current: community.preferences.deliveryTime
+  });
+
+  return {
+    deliveryDay: day.value,
+    deliveryTime: time.value,
+    tallies: {
+      deliveryDay: day.counts,
+      deliveryTime: time.counts
+    },
+    tieBroken: {
+      deliveryDay: day.tieBroken,
+      deliveryTime: time.tieBroken
+    },
+    voteCount: round.votes.length
+  };
+};
+
+// Record a member's vote, replacing their previous one, in a single update that
+// only matches while the round is open. A vote racing `closeRound` either lands
+// before the round is claimed or not at all.
+// Returns the updated round, or null if the round is no longer open.
+const castVote = async (round, userId, { deliveryDay, deliveryTime }) => {
+  const now = new Date();
+  const vote = { _id: new mongoose.Types.ObjectId(), user: userId, castAt: now };
+  if (deliveryDay) vote.deliveryDay = deliveryDay;
+  if (deliveryTime) vote.deliveryTime = deliveryTime;
+
+  return VotingRound.findOneAndUpdate(
+    { _id: round._id, status: 'open', opensAt: { $lte: now }, closesAt: { $gt: now } },
+    [{
+      $set: {
+        votes: {
+          $concatArrays: [
+            { $filter: { input: '$votes', cond: { $ne: ['$$this.user', userId] } } },
+            { $literal: [vote] }
+          ]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Close a round and apply its result to the community's preferences. Rounds are
+// closed by the scheduler and lazily by requests, so callers race: only the one
+// that claims the round applies its result and emits events.
+// Returns { round, community }, or null if the round was already closed.
+const closeRound = async (openRound) => {
+  const round = await VotingRound.findOneAndUpdate(
+    { _id: openRound._id, status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date() } },
+    { new: true }
+  );
+  if (!round) return null;
+
+  const community = await Community.findById(round.community);
+  round.result = computeResult(round, community || { preferences: {} });
+  await round.save();
+
+  emitEvent('community.voting_closed', {
+    community: { id: round.community, name: community?.name },
+    round: { id: round._id, result: round.result }
+  });
+
+  if (community) {
+    const previous = {
+      deliveryDay: community.preferences.deliveryDay,
+      deliveryTime: community.preferences.deliveryTime
+    };
+    community.preferences.deliveryDay = round.result.deliveryDay;
+    community.preferences.deliveryTime = round.result.deliveryTime;
+    await community.save();
+
+    if (previous.deliveryDay !== round.result.deliveryDay || previous.deliveryTime !== round.result.deliveryTime) {
+      emitEvent('community.delivery_changed', {
+        community: { id: community._id, name: community.name },
+        previous,
+        current: { deliveryDay: round.result.deliveryDay, deliveryTime: round.result.deliveryTime },
+        reason: 'vote'
+      });
+    }
+  }
+
+  return { round, community };
+};
+
+// The community's open round, closing it first if its deadline has passed
+const findOpenRound = async (communityId) => {
+  const round = await VotingRound.findOne({ community: communityId, status: 'open' });
+  if (round && round.closesAt <= new Date()) {
+    await closeRound(round);
+    return null;
+  }
+  return round;
+};
+
+// Close every open round whose deadline has passed
+const closeDueRounds = async () => {
+  const rounds = await VotingRound.find({ status: 'open', closesAt: { $lte: new Date() } });
+  let closed = 0;
+  for (const round of rounds) {
+    if (await closeRound(round)) closed++;
+  }
+  return closed;
+};
+
+module.exports = {
+  options,
+  tally,
+  pickWinner,
+  computeResult,
+  castVote,
+  closeRound,
+  findOpenRound,
+  closeDueRounds
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onEvent } = require('./events');
+
+// Attempts per delivery before it is given up on; the delay between them
+// doubles from the base, up to 6 hours
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// How long a receiver gets to answer, and how long an attempt keeps its delivery
+// claimed so no other run of the queue sends it at the same time
+const TIMEOUT_MS = 10 * 1000;
+const CLAIM_MS = 60 * 1000;
+
+// Number of due deliveries sent per run of the queue
+const BATCH_SIZE = 50;
+
+// Order status changes partners can subscribe to
+const orderStatusEvents = {
+  cancelled: 'order.cancelled',
+  delivered: 'order.delivered'
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature header of a payload: the HMAC-SHA256 of `<timestamp>.<body>` keyed
+// with the subscription's secret. Receivers recompute it and reject old timestamps.
+const signPayload = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Delay before the next attempt after a number of failed ones
+const retryDelay = (failedAttempts) => Math.min(RETRY_BASE_MS * 2 ** (failedAttempts - 1), MAX_RETRY_DELAY_MS);
+
+// POST a delivery to the subscription's URL and return the attempt to record.
+// Only a 2xx answer counts as delivered; redirects are not followed.
+const sendWebhook = async (delivery, subscription) => {
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    type: delivery.event,
+    occurredAt: delivery.occurredAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PicnicHood-Webhooks',
+        'X-PicnicHood-Event': delivery.event,
+        'X-PicnicHood-Delivery': delivery._id.toString(),
+        'X-PicnicHood-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    await response.body?.cancel();
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No answer within ${TIMEOUT_MS} ms`
+      : error.cause?.message || error.message;
+  }
+
+  attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+  return attempt;
+};
+
+// Make the next attempt at a delivery if it is due, and schedule a retry when it
+// fails. Returns the delivery, or null if it was not due or another run claimed it.
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  const attempt = subscription && subscription.isActive
+    ? await sendWebhook(delivery, subscription)
+    : { attemptedAt: now, error: subscription ? 'Subscription is inactive' : 'Subscription was deleted' };
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (!subscription || !subscription.isActive || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Make the first attempt right away instead of waiting for the queue
+const sendSoon = (deliveries) => {
+  for (const delivery of deliveries) {
+    attemptDelivery(delivery._id).catch(err => console.error('Error sending webhook:', err));
+  }
+};
+
+// Queue an event for every active subscription to its type. The payload is taken
+// from the event, so deliveries and replays describe the state the event reports.
+const enqueueWebhookEvent = async (type, { occurredAt, payload }) => {
+  const subscriptions = await WebhookSubscription.find({ events: type, isActive: true }).select('_id');
+  if (subscriptions.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    event: type,
+    eventId,
+    occurredAt,
+    payload
+  })));
+
+  sendSoon(deliveries);
+  return deliveries;
+};
+
+// Send a delivery's event to its subscription again, as a new delivery with the
+// same event id. Returns the new delivery after its first attempt.
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    subscription: delivery.subscription,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    occurredAt: delivery.occurredAt,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  return (await attemptDelivery(replay._id)) || replay;
+};
+
+// Attempt every delivery whose next attempt is due
+const deliverDueWebhooks = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  let attempted = 0;
+  for (const { _id } of due) {
+    try {
+      if (await attemptDelivery(_id)) attempted++;
+    } catch (error) {
+      console.error(`Error sending webhook delivery ${_id}:`, error);
+    }
+  }
+  return attempted;
+};
+
+// Queue webhooks for the domain events partners can subscribe to
+const registerWebhookSubscribers = () => {
+  onEvent('order.created', async ({ order, occurredAt }) => {
+    await enqueueWebhookEvent('order.created', { occurredAt, payload: { order } });
+  });
+
+  onEvent('order.status_changed', async ({ order, from, note, to, occurredAt }) => {
+    const type = orderStatusEvents[to];
+    if (!type) return;
+
+    await enqueueWebhookEvent(type, { occurredAt, payload: { order, previousStatus: from, note } });
+  });
+
+  onEvent('community.delivery_changed', async ({ community, previous, current, reason, occurredAt }) => {
+    await enqueueWebhookEvent('community.delivery_changed', {
+      occurredAt,
+      payload: { community, previous, current, reason }
+    });
+  });
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  sendWebhook,
+  attemptDelivery,
+  replayDelivery,
+  deliverDueWebhooks,
+  registerWebhookSubscribers
+};
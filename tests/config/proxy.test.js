@@ -0,0 +1,15 @@
+const { parseTrustProxy } = require('../../src/config/proxy');
+
+describe('parseTrustProxy', () => {
+  it('trusts no proxy by default', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('')).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+  });
+
+  it('takes true, a number of hops or a list of addresses', () => {
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('1')).toBe(1);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+  });
+});
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Community', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/VotingRound', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+
+const Community = require('../../src/models/Community');
+const VotingRound = require('../../src/models/VotingRound');
+const { voteForDeliveryTime } = require('../../src/controllers/communityController');
+
+const userId = new mongoose.Types.ObjectId();
+const communityId = new mongoose.Types.ObjectId();
+const roundId = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+const fakeResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const voteRequest = body => ({
+  params: { id: communityId.toString() },
+  user: { _id: userId.toString(), username: 'sam' },
+  body
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Community.findById.mockResolvedValue({
+    _id: communityId,
+    name: 'Oost',
+    members: [{ user: userId }],
+    preferences: { deliveryDay: 'Sunday', deliveryTime: 'Morning' }
+  });
+  VotingRound.findOne.mockResolvedValue({
+    _id: roundId,
+    community: communityId,
+    status: 'open',
+    opensAt: new Date(Date.now() - HOUR),
+    closesAt: new Date(Date.now() + HOUR),
+    votes: []
+  });
+});
+
+describe('voteForDeliveryTime', () => {
+  it('records the vote in one update guarded on the round being open', async () => {
+    const votes = [{ user: userId, deliveryDay: 'Friday', castAt: new Date() }];
+    VotingRound.findOneAndUpdate.mockResolvedValue({
+      _id: roundId,
+      status: 'open',
+      votes,
+      populate: jest.fn().mockResolvedValue()
+    });
+    const res = fakeResponse();
+
+    await voteForDeliveryTime(voteRequest({ deliveryDay: 'Friday' }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Vote recorded successfully' }));
+    const [filter, update] = VotingRound.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: roundId, status: 'open' });
+    expect(JSON.stringify(update)).toContain('"deliveryDay":"Friday"');
+  });
+
+  it('refuses a vote on a round that closed after it was read', async () => {
+    VotingRound.findOneAndUpdate.mockResolvedValue(null);
+    const res = fakeResponse();
+
+    await voteForDeliveryTime(voteRequest({ deliveryDay: 'Friday' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ message: 'The voting round closed before your vote was recorded' });
+  });
+
+  it('refuses a vote when no round is open', async () => {
+    VotingRound.findOne.mockResolvedValue(null);
+    const res = fakeResponse();
+
+    await voteForDeliveryTime(voteRequest({ deliveryTime: 'Evening' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(VotingRound.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
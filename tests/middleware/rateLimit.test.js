@@ -0,0 +1,36 @@
+const { authLimiter, refreshLimiter } = require('../../src/middleware/rateLimit');
+
+const fakeResponse = () => {
+  const res = {};
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Send a request from an address through a limiter; true if it was let through
+const passes = async (limiter, ip) => {
+  const next = jest.fn();
+  await limiter({ ip }, fakeResponse(), next);
+  return next.mock.calls.length === 1;
+};
+
+describe('refreshLimiter', () => {
+  it('does not share the budget of the other auth endpoints', async () => {
+    const ip = '203.0.113.10';
+    for (let i = 0; i < 20; i++) {
+      expect(await passes(authLimiter, ip)).toBe(true);
+    }
+    expect(await passes(authLimiter, ip)).toBe(false);
+
+    expect(await passes(refreshLimiter, ip)).toBe(true);
+  });
+
+  it('allows many more refreshes than logins from one address', async () => {
+    const ip = '203.0.113.11';
+    for (let i = 0; i < 300; i++) {
+      expect(await passes(refreshLimiter, ip)).toBe(true);
+    }
+    expect(await passes(refreshLimiter, ip)).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+const { validationResult } = require('express-validator');
+const router = require('../../src/routes/orderRoutes');
+
+// The express-validator chains of a route, in the order they run
+const validatorsOf = (path, method) => router.stack
+  .find(layer => layer.route?.path === path && layer.route.methods[method])
+  .route.stack
+  .map(layer => layer.handle)
+  .filter(handle => typeof handle.run === 'function');
+
+const runValidators = async (path, method, body) => {
+  const req = { body, params: {}, query: {} };
+  for (const validator of validatorsOf(path, method)) {
+    await validator.run(req);
+  }
+  return { req, errors: validationResult(req).array() };
+};
+
+const article = '64b7f0c2a1b2c3d4e5f60718';
+const community = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('POST /api/order validation', () => {
+  it('turns quantities sent as strings into numbers', async () => {
+    const { req, errors } = await runValidators('/', 'post', {
+      community,
+      items: [{ article, quantity: '1' }]
+    });
+
+    expect(errors).toEqual([]);
+    expect(req.body.items[0].quantity).toBe(1);
+  });
+
+  it('rejects quantities below 1', async () => {
+    const { errors } = await runValidators('/', 'post', {
+      community,
+      items: [{ article, quantity: '0' }]
+    });
+
+    expect(errors.map(error => error.msg)).toContain('Quantity must be at least 1');
+  });
+
+  it('rejects an order without items', async () => {
+    const { errors } = await runValidators('/', 'post', { community, items: [] });
+
+    expect(errors.map(error => error.msg)).toContain('Items must be a non-empty array');
+  });
+});
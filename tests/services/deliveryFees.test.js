@@ -0,0 +1,115 @@
+jest.mock('../../src/models/Community', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Order', () => ({ find: jest.fn(), distinct: jest.fn() }));
+
+const Community = require('../../src/models/Community');
+const Order = require('../../src/models/Order');
+const { splitAmount, distanceKm, splitDeliveryFee } = require('../../src/services/deliveryFees');
+
+const sum = shares => Math.round(shares.reduce((total, share) => total + share * 100, 0));
+
+describe('splitAmount', () => {
+  it('splits an amount evenly when it divides', () => {
+    expect(splitAmount(9, 3)).toEqual([3, 3, 3]);
+  });
+
+  it('gives the leftover cents to the first shares', () => {
+    expect(splitAmount(10, 3)).toEqual([3.34, 3.33, 3.33]);
+    expect(splitAmount(0.05, 3)).toEqual([0.02, 0.02, 0.01]);
+  });
+
+  it('always adds up to the amount', () => {
+    for (const [amount, parts] of [[7.99, 4], [12.5, 7], [0.01, 3], [100, 6]]) {
+      const shares = splitAmount(amount, parts);
+      expect(shares).toHaveLength(parts);
+      expect(sum(shares)).toBe(Math.round(amount * 100));
+      expect(Math.max(...shares) - Math.min(...shares)).toBeLessThanOrEqual(0.011);
+    }
+  });
+
+  it('keeps a single share whole and splits nothing into zeros', () => {
+    expect(splitAmount(4.2, 1)).toEqual([4.2]);
+    expect(splitAmount(0, 2)).toEqual([0, 0]);
+  });
+});
+
+describe('distanceKm', () => {
+  it('is zero between a point and itself', () => {
+    expect(distanceKm([4.9, 52.37], [4.9, 52.37])).toBe(0);
+  });
+
+  it('measures a degree of latitude as about 111 km', () => {
+    expect(distanceKm([0, 0], [0, 1])).toBeCloseTo(111.19, 1);
+  });
+
+  it('takes [longitude, latitude] points', () => {
+    const amsterdamToRotterdam = distanceKm([4.9041, 52.3676], [4.4777, 51.9244]);
+    expect(amsterdamToRotterdam).toBeGreaterThan(55);
+    expect(amsterdamToRotterdam).toBeLessThan(60);
+  });
+});
+
+describe('splitDeliveryFee', () => {
+  const deliveryDate = new Date('2024-05-05T07:00:00Z');
+
+  const fakeOrder = (user, fields = {}) => ({
+    _id: `order-${user}-${Math.random()}`,
+    user,
+    status: 'pending',
+    paymentStatus: 'unpaid',
+    subtotal: 10,
+    discountTotal: 0,
+    deliveryFee: 0,
+    totalAmount: 10,
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const useOrders = (orders, fee = 6) => {
+    const community = { _id: 'community-1', deliveryFee: { mode: 'flat', amount: fee } };
+    Community.findById.mockReturnValue({ session: () => Promise.resolve(community) });
+    Order.find.mockReturnValue({ sort: () => ({ session: () => Promise.resolve(orders) }) });
+  };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('shares the fee among the members with pending orders', async () => {
+    const orders = [fakeOrder('ann'), fakeOrder('bob'), fakeOrder('cas')];
+    useOrders(orders);
+
+    await splitDeliveryFee({ community: 'community-1', deliveryDate });
+
+    expect(orders.map(order => order.deliveryFee)).toEqual([2, 2, 2]);
+    expect(orders.map(order => order.totalAmount)).toEqual([12, 12, 12]);
+  });
+
+  it('keeps the share of orders that left pending or are being paid', async () => {
+    const processing = fakeOrder('ann', { status: 'processing', paymentStatus: 'authorized', deliveryFee: 2, totalAmount: 12 });
+    const authorized = fakeOrder('bob', { paymentStatus: 'authorized', deliveryFee: 2, totalAmount: 12 });
+    const open = fakeOrder('cas', { deliveryFee: 2, totalAmount: 12 });
+    // The fee doubled: only the order that can still change pays for it
+    useOrders([processing, authorized, open], 12);
+
+    await splitDeliveryFee({ community: 'community-1', deliveryDate });
+
+    expect(processing.deliveryFee).toBe(2);
+    expect(processing.save).not.toHaveBeenCalled();
+    expect(authorized.deliveryFee).toBe(2);
+    expect(authorized.save).not.toHaveBeenCalled();
+    expect(open.deliveryFee).toBe(8);
+    expect(open.totalAmount).toBe(18);
+  });
+
+  it('charges no second share to a member who already pays one', async () => {
+    const delivered = fakeOrder('ann', { status: 'delivered', paymentStatus: 'paid', deliveryFee: 3, totalAmount: 13 });
+    const extra = fakeOrder('ann', { deliveryFee: 1.5, totalAmount: 11.5 });
+    const other = fakeOrder('bob');
+    useOrders([delivered, extra, other]);
+
+    await splitDeliveryFee({ community: 'community-1', deliveryDate });
+
+    expect(delivered.deliveryFee).toBe(3);
+    expect(extra.deliveryFee).toBe(0);
+    expect(extra.totalAmount).toBe(10);
+    expect(other.deliveryFee).toBe(3);
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/models/Order', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Payment', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+
+const Order = require('../../src/models/Order');
+const Payment = require('../../src/models/Payment');
+const { onEvent } = require('../../src/services/events');
+const { startPayment, settleOrderPayment } = require('../../src/services/orderPayments');
+
+const fakePayment = (fields = {}) => ({
+  _id: 'payment-1',
+  order: 'order-1',
+  provider: 'mock',
+  providerId: 'mock_1',
+  amount: 10,
+  currency: 'EUR',
+  status: 'authorized',
+  capturedAmount: 0,
+  shortfall: 0,
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+const fakeOrder = (fields = {}) => ({
+  _id: 'order-1',
+  user: 'user-1',
+  community: 'community-1',
+  status: 'delivered',
+  deliveryDate: new Date('2024-05-05T07:00:00Z'),
+  items: [],
+  subtotal: 10,
+  discountTotal: 0,
+  deliveryFee: 2,
+  totalAmount: 12,
+  paymentStatus: 'authorized',
+  payment: 'payment-1',
+  set(values) { Object.assign(this, values); },
+  ...fields
+});
+
+// Payments of the order that captured money so far
+const useCaptured = (payments) => {
+  Payment.find.mockReturnValue({ select: () => Promise.resolve(payments) });
+};
+
+const shortfalls = [];
+onEvent('order.payment_shortfall', event => { shortfalls.push(event); });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  shortfalls.length = 0;
+  Order.updateOne.mockResolvedValue();
+  useCaptured([]);
+});
+
+describe('settleOrderPayment', () => {
+  it('captures at most the authorized amount and reports what is left owing', async () => {
+    const payment = fakePayment();
+    const order = fakeOrder();
+    Payment.findById.mockResolvedValue(payment);
+    const warn = jest.spyOn(console, 'warn');
+
+    await settleOrderPayment(order);
+    await new Promise(setImmediate);
+
+    expect(payment.status).toBe('captured');
+    expect(payment.capturedAmount).toBe(10);
+    expect(payment.shortfall).toBe(2);
+    expect(order.paymentStatus).toBe('partially_paid');
+    expect(shortfalls).toEqual([expect.objectContaining({
+      order: expect.objectContaining({ id: 'order-1', totalAmount: 12 }),
+      payment: expect.objectContaining({ capturedAmount: 10, shortfall: 2 })
+    })]);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('startPayment', () => {
+  const user = { _id: 'user-1' };
+
+  it('collects what a partially paid delivered order still owes', async () => {
+    const order = fakeOrder({ paymentStatus: 'partially_paid' });
+    useCaptured([{ capturedAmount: 10 }]);
+    Payment.create.mockImplementation(async fields => fakePayment({ ...fields, _id: 'payment-2' }));
+    Order.findOneAndUpdate.mockResolvedValue({ __v: 4 });
+    Order.findOne.mockResolvedValue(order);
+
+    const { payment, error } = await startPayment(order, { user, options: { scenario: 'succeed' } });
+    await new Promise(setImmediate);
+
+    expect(error).toBeUndefined();
+    expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 2 }));
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'delivered', paymentStatus: 'partially_paid' }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(payment.status).toBe('captured');
+    expect(payment.capturedAmount).toBe(2);
+    expect(payment.shortfall).toBe(0);
+    expect(order.paymentStatus).toBe('paid');
+    expect(shortfalls).toEqual([]);
+  });
+
+  it('refuses to pay for a delivered order that is paid', async () => {
+    const { error } = await startPayment(fakeOrder({ paymentStatus: 'paid' }), { user });
+    expect(error).toEqual({ status: 409, message: 'Order payment is already paid' });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  it('has nothing to collect once the captured payments cover the total', async () => {
+    useCaptured([{ capturedAmount: 10 }, { capturedAmount: 2 }]);
+    const { error } = await startPayment(fakeOrder({ paymentStatus: 'failed' }), { user });
+    expect(error).toEqual({ status: 400, message: 'There is nothing to pay for this order' });
+  });
+
+  it('still refuses cancelled orders', async () => {
+    const { error } = await startPayment(fakeOrder({ status: 'cancelled', paymentStatus: 'voided' }), { user });
+    expect(error.status).toBe(409);
+  });
+});
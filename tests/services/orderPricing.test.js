@@ -0,0 +1,67 @@
+jest.mock('../../src/models/Article', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Order', () => ({ aggregate: jest.fn() }));
+
+const Article = require('../../src/models/Article');
+const Order = require('../../src/models/Order');
+const { snapshotItem, quantitiesByArticle, priceBreakdown } = require('../../src/services/orderPricing');
+
+const article = {
+  _id: 'article-1',
+  name: 'Apples',
+  unit: 'kg',
+  price: 2.5,
+  bulkTiers: [
+    { minQuantity: 20, discountPercent: 10 },
+    { minQuantity: 500, discountPercent: 40 }
+  ]
+};
+
+// Mongoose queries are awaited after `.session(...)`
+const query = result => ({ session: () => Promise.resolve(result) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Article.find.mockReturnValue(query([article]));
+});
+
+describe('snapshotItem', () => {
+  it('stores the quantity as a number', () => {
+    expect(snapshotItem(article, '3')).toMatchObject({ quantity: 3, lineTotal: 7.5 });
+  });
+});
+
+describe('quantitiesByArticle', () => {
+  it('adds up the quantities of each article', () => {
+    const quantities = quantitiesByArticle([
+      { article: 'article-1', quantity: 2 },
+      { article: 'article-2', quantity: 1 },
+      { article: 'article-1', quantity: '3' }
+    ]);
+    expect(quantities.get('article-1')).toBe(5);
+    expect(quantities.get('article-2')).toBe(1);
+  });
+});
+
+describe('priceBreakdown', () => {
+  const options = { community: 'community-1', deliveryDate: new Date('2024-05-05T07:00:00Z') };
+
+  it('adds a string quantity to the community total instead of appending it', async () => {
+    Order.aggregate.mockReturnValue(query([{ _id: 'article-1', quantity: 10 }]));
+    const items = [{ article: 'article-1', name: 'Apples', lineTotal: 2.5, quantity: '1' }];
+
+    const { discounts, totalAmount } = await priceBreakdown(items, options);
+
+    expect(discounts).toEqual([]);
+    expect(totalAmount).toBe(2.5);
+  });
+
+  it('applies the tier the combined quantity reaches', async () => {
+    Order.aggregate.mockReturnValue(query([{ _id: 'article-1', quantity: 19 }]));
+    const items = [{ article: 'article-1', name: 'Apples', lineTotal: 2.5, quantity: 1 }];
+
+    const { discounts, totalAmount } = await priceBreakdown(items, options);
+
+    expect(discounts).toEqual([expect.objectContaining({ type: 'bulk', amount: 0.25 })]);
+    expect(totalAmount).toBe(2.25);
+  });
+});
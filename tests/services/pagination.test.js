@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, isValidCursor, afterCursor } = require('../../src/services/pagination');
+
+const id = new mongoose.Types.ObjectId();
+const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('decodeCursor', () => {
+  it('reads back the dates, strings and numbers it encoded', () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    expect(decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt')))
+      .toEqual({ value: createdAt, id: id.toString() });
+    expect(decodeCursor(encodeCursor({ _id: id, name: 'Oost' }, 'name')))
+      .toEqual({ value: 'Oost', id: id.toString() });
+    expect(decodeCursor(encodeCursor({ _id: id, totalAmount: 12.5 }, 'totalAmount')))
+      .toEqual({ value: 12.5, id: id.toString() });
+  });
+
+  it('rejects cursors that are not base64url JSON', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('null').toString('base64url'))).toBeNull();
+  });
+
+  it('rejects cursors without a valid id', () => {
+    expect(decodeCursor(encode({ v: 'Oost' }))).toBeNull();
+    expect(decodeCursor(encode({ v: 'Oost', id: 'nope' }))).toBeNull();
+    expect(decodeCursor(encode({ v: 'Oost', id: { $ne: null } }))).toBeNull();
+  });
+
+  it('rejects values that would be query operators', () => {
+    expect(decodeCursor(encode({ v: { $gt: '' }, id: id.toString() }))).toBeNull();
+    expect(decodeCursor(encode({ v: ['a'], id: id.toString() }))).toBeNull();
+    expect(decodeCursor(encode({ v: null, id: id.toString() }))).toBeNull();
+    expect(decodeCursor(encode({ v: 'Oost', t: 'regex', id: id.toString() }))).toBeNull();
+  });
+
+  it('rejects dates that do not parse', () => {
+    expect(decodeCursor(encode({ v: 'yesterday', t: 'date', id: id.toString() }))).toBeNull();
+    expect(decodeCursor(encode({ v: { $gt: 0 }, t: 'date', id: id.toString() }))).toBeNull();
+  });
+
+  it('is what the validators check', () => {
+    expect(isValidCursor(encodeCursor({ _id: id, name: 'Oost' }, 'name'))).toBe(true);
+    expect(isValidCursor(encode({ v: { $gt: '' }, id: id.toString() }))).toBe(false);
+  });
+});
+
+describe('afterCursor', () => {
+  it('selects nothing extra without a cursor', () => {
+    expect(afterCursor(null, 'createdAt', -1)).toEqual({});
+  });
+
+  it('continues after the cursor in the sort direction, breaking ties on _id', () => {
+    const cursor = { value: 'Oost', id: id.toString() };
+    expect(afterCursor(cursor, 'name', 1)).toEqual({
+      $or: [{ name: { $gt: 'Oost' } }, { name: 'Oost', _id: { $gt: id } }]
+    });
+    expect(afterCursor(cursor, 'name', -1)).toEqual({
+      $or: [{ name: { $lt: 'Oost' } }, { name: 'Oost', _id: { $lt: id } }]
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  isValidTimeZone,
+  localDayRange,
+  nextDeliverySlots,
+  resolveDeliveryDate
+} = require('../../src/services/scheduling');
+
+const community = (overrides = {}) => ({
+  name: 'Oost',
+  timezone: 'Europe/Amsterdam',
+  preferences: { deliveryDay: 'Sunday', deliveryTime: 'Morning' },
+  ...overrides
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA time zones and rejects anything else', () => {
+    expect(isValidTimeZone('Europe/Amsterdam')).toBe(true);
+    expect(isValidTimeZone('America/New_York')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
+
+describe('localDayRange', () => {
+  it('covers a regular local day', () => {
+    const { start, end } = localDayRange(community(), '2024-05-12');
+    expect(start.toISOString()).toBe('2024-05-11T22:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-05-12T22:00:00.000Z');
+  });
+
+  it('is 23 hours long when the clocks go forward', () => {
+    const { start, end } = localDayRange(community(), '2024-03-31');
+    expect(start.toISOString()).toBe('2024-03-30T23:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-31T22:00:00.000Z');
+  });
+
+  it('is 25 hours long when the clocks go back', () => {
+    const { start, end } = localDayRange(community(), '2024-10-27');
+    expect(start.toISOString()).toBe('2024-10-26T22:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-10-27T23:00:00.000Z');
+  });
+
+  it('takes instants as the local date they fall on', () => {
+    const { start } = localDayRange(community(), '2024-05-11T23:30:00Z');
+    expect(start.toISOString()).toBe('2024-05-11T22:00:00.000Z');
+  });
+});
+
+describe('nextDeliverySlots', () => {
+  it('keeps the local delivery time across a DST change', () => {
+    const slots = nextDeliverySlots(community(), {
+      count: 2,
+      from: new Date('2024-03-20T12:00:00Z'),
+      now: new Date('2024-03-01T00:00:00Z')
+    });
+
+    expect(slots.map(slot => slot.date)).toEqual(['2024-03-24', '2024-03-31']);
+    expect(slots[0].start.toISOString()).toBe('2024-03-24T07:00:00.000Z');
+    expect(slots[0].end.toISOString()).toBe('2024-03-24T11:00:00.000Z');
+    expect(slots[1].start.toISOString()).toBe('2024-03-31T06:00:00.000Z');
+    expect(slots[1].end.toISOString()).toBe('2024-03-31T10:00:00.000Z');
+  });
+
+  it('follows the community time zone', () => {
+    const slots = nextDeliverySlots(
+      community({ timezone: 'America/New_York', preferences: { deliveryDay: 'Tuesday', deliveryTime: 'Evening' } }),
+      { count: 2, from: new Date('2024-10-25T00:00:00Z') }
+    );
+
+    expect(slots[0].start.toISOString()).toBe('2024-10-29T21:00:00.000Z');
+    expect(slots[1].start.toISOString()).toBe('2024-11-05T22:00:00.000Z');
+    expect(slots[1].deliveryDay).toBe('Tuesday');
+  });
+
+  it('closes ordering the cutoff hours before the delivery', () => {
+    const from = new Date('2024-03-20T12:00:00Z');
+    const [standard] = nextDeliverySlots(community(), { count: 1, from });
+    const [early] = nextDeliverySlots(community({ orderCutoffHours: 48 }), { count: 1, from });
+
+    expect(standard.orderCutoff.toISOString()).toBe('2024-03-23T07:00:00.000Z');
+    expect(early.orderCutoff.toISOString()).toBe('2024-03-22T07:00:00.000Z');
+  });
+
+  it('skips slots whose cutoff has passed when only open slots are asked for', () => {
+    const now = new Date('2024-03-23T12:00:00Z');
+    const [slot] = nextDeliverySlots(community(), { count: 1, from: now, openOnly: true, now });
+    expect(slot.date).toBe('2024-03-31');
+  });
+});
+
+describe('resolveDeliveryDate', () => {
+  const now = new Date('2024-03-20T00:00:00Z');
+
+  it('accepts a delivery day of the community', () => {
+    const { slot, error } = resolveDeliveryDate(community(), '2024-03-24', { now });
+    expect(error).toBeUndefined();
+    expect(slot.start.toISOString()).toBe('2024-03-24T07:00:00.000Z');
+  });
+
+  it('rejects other days, or snaps them to the next open slot', () => {
+    expect(resolveDeliveryDate(community(), '2024-03-25', { now }).error)
+      .toBe('Oost delivers on Sunday Morning; 2024-03-25 is not an upcoming delivery date');
+
+    const { slot, snapped } = resolveDeliveryDate(community(), '2024-03-25', { snap: true, now });
+    expect(snapped).toBe(true);
+    expect(slot.date).toBe('2024-03-31');
+  });
+
+  it('rejects a delivery whose ordering has closed', () => {
+    const { error } = resolveDeliveryDate(community(), '2024-03-24', { now: new Date('2024-03-23T12:00:00Z') });
+    expect(error).toBe('Ordering for the 2024-03-24 delivery closed at 2024-03-23T07:00:00.000Z');
+  });
+});
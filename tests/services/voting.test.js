@@ -0,0 +1,65 @@
+const { tally, pickWinner } = require('../../src/services/voting');
+
+const vote = (deliveryDay, castAt) => ({ deliveryDay, castAt: new Date(castAt) });
+
+// Tuesday and Thursday tie at two votes; Thursday reached two first
+const tied = [
+  vote('Tuesday', '2024-05-01T09:00:00Z'),
+  vote('Thursday', '2024-05-01T10:00:00Z'),
+  vote('Thursday', '2024-05-01T11:00:00Z'),
+  vote('Monday', '2024-05-01T11:30:00Z'),
+  vote('Tuesday', '2024-05-01T12:00:00Z')
+];
+
+describe('tally', () => {
+  it('counts the votes for every option, including those without any', () => {
+    expect(tally(tied, 'deliveryDay')).toEqual({
+      Monday: 1, Tuesday: 2, Wednesday: 0, Thursday: 2, Friday: 0, Saturday: 0, Sunday: 0
+    });
+  });
+});
+
+describe('pickWinner', () => {
+  it('picks the option with the most votes', () => {
+    const votes = [...tied, vote('Tuesday', '2024-05-01T13:00:00Z')];
+    expect(pickWinner(votes, 'deliveryDay', { tieBreak: 'keep-current', current: 'Thursday' }))
+      .toMatchObject({ value: 'Tuesday', tieBroken: false });
+  });
+
+  it('keeps the current value without any votes', () => {
+    expect(pickWinner([], 'deliveryDay', { tieBreak: 'earliest', current: 'Friday' }))
+      .toMatchObject({ value: 'Friday', tieBroken: false });
+  });
+
+  it('breaks a tie in favour of the earliest option', () => {
+    expect(pickWinner(tied, 'deliveryDay', { tieBreak: 'earliest', current: 'Thursday' }))
+      .toMatchObject({ value: 'Tuesday', tieBroken: true });
+  });
+
+  it('keeps the current value when it is among the leaders', () => {
+    expect(pickWinner(tied, 'deliveryDay', { tieBreak: 'keep-current', current: 'Thursday' }))
+      .toMatchObject({ value: 'Thursday', tieBroken: true });
+  });
+
+  it('falls back to the earliest leader when the current value is not tied', () => {
+    expect(pickWinner(tied, 'deliveryDay', { tieBreak: 'keep-current', current: 'Sunday' }))
+      .toMatchObject({ value: 'Tuesday', tieBroken: true });
+  });
+
+  it('picks the leader that reached the winning count first', () => {
+    expect(pickWinner(tied, 'deliveryDay', { tieBreak: 'first-vote', current: 'Sunday' }))
+      .toMatchObject({ value: 'Thursday', tieBroken: true });
+  });
+
+  it('goes by when votes were cast, not the order they are stored in', () => {
+    const shuffled = [tied[4], tied[2], tied[0], tied[3], tied[1]];
+    expect(pickWinner(shuffled, 'deliveryDay', { tieBreak: 'first-vote', current: 'Sunday' }).value)
+      .toBe('Thursday');
+  });
+
+  it('ignores votes that leave the field out', () => {
+    const votes = [...tied, { deliveryTime: 'Evening', castAt: new Date('2024-05-01T08:00:00Z') }];
+    expect(pickWinner(votes, 'deliveryDay', { tieBreak: 'first-vote', current: 'Sunday' }).value)
+      .toBe('Thursday');
+  });
+});
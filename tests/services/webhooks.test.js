@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '10';
+
+jest.mock('../../src/models/WebhookDelivery', () => ({
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../src/models/WebhookSubscription', () => ({
+  findById: jest.fn()
+}));
+
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const WebhookSubscription = require('../../src/models/WebhookSubscription');
+const { signPayload, attemptDelivery, replayDelivery } = require('../../src/services/webhooks');
+
+const SECRET = 'whsec_test';
+
+// A local endpoint that records what it receives and answers with `status`
+const receiver = {
+  status: 200,
+  requests: [],
+  server: null,
+  url: null
+};
+
+const fakeDelivery = (overrides = {}) => ({
+  _id: 'delivery-1',
+  subscription: 'subscription-1',
+  event: 'order.created',
+  eventId: 'evt_1',
+  occurredAt: new Date('2024-05-01T10:00:00Z'),
+  payload: { order: { id: 'order-1', status: 'pending' } },
+  status: 'pending',
+  attempts: [],
+  nextAttemptAt: new Date(),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const useSubscription = (subscription) => {
+  WebhookSubscription.findById.mockReturnValue({ select: () => Promise.resolve(subscription) });
+};
+
+beforeAll((done) => {
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.status;
+      res.end();
+    });
+  });
+  receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  receiver.server.closeAllConnections();
+  receiver.server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  receiver.status = 200;
+  receiver.requests = [];
+  useSubscription({ url: receiver.url, secret: SECRET, isActive: true });
+});
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    expect(signPayload(SECRET, 1700000000, '{"a":1}')).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('matches the signature header the receiver gets', async () => {
+    const delivery = fakeDelivery();
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(delivery);
+
+    await attemptDelivery(delivery._id);
+
+    expect(receiver.requests).toHaveLength(1);
+    const { headers, body } = receiver.requests[0];
+    const timestamp = headers['x-picnichood-signature'].match(/^t=(\d+),/)[1];
+    expect(headers['x-picnichood-signature']).toBe(signPayload(SECRET, timestamp, body));
+    expect(headers['x-picnichood-event']).toBe('order.created');
+    expect(JSON.parse(body)).toEqual({
+      id: 'evt_1',
+      type: 'order.created',
+      occurredAt: '2024-05-01T10:00:00.000Z',
+      data: { order: { id: 'order-1', status: 'pending' } }
+    });
+  });
+});
+
+describe('attemptDelivery', () => {
+  it('marks a delivery the receiver accepted as succeeded', async () => {
+    const delivery = fakeDelivery();
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(delivery);
+
+    await attemptDelivery(delivery._id);
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.nextAttemptAt).toBeNull();
+    expect(delivery.attempts).toEqual([expect.objectContaining({ statusCode: 200 })]);
+    expect(delivery.save).toHaveBeenCalled();
+  });
+
+  it('backs off exponentially and fails the delivery after the last attempt', async () => {
+    receiver.status = 500;
+    const delivery = fakeDelivery();
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(delivery);
+
+    const expectRetryAfter = async (delayMs) => {
+      const before = Date.now();
+      await attemptDelivery(delivery._id);
+      const after = Date.now();
+      expect(delivery.status).toBe('pending');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + delayMs);
+      expect(delivery.nextAttemptAt.getTime()).toBeLessThanOrEqual(after + delayMs);
+    };
+
+    await expectRetryAfter(10 * 1000);
+    await expectRetryAfter(20 * 1000);
+
+    await attemptDelivery(delivery._id);
+    expect(delivery.status).toBe('failed');
+    expect(delivery.nextAttemptAt).toBeNull();
+    expect(delivery.attempts).toHaveLength(3);
+    expect(delivery.attempts.every(attempt => attempt.statusCode === 500 && attempt.error)).toBe(true);
+    expect(receiver.requests).toHaveLength(3);
+  });
+
+  it('records a receiver that cannot be reached as a failed attempt', async () => {
+    useSubscription({ url: 'http://127.0.0.1:1/hook', secret: SECRET, isActive: true });
+    const delivery = fakeDelivery();
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(delivery);
+
+    await attemptDelivery(delivery._id);
+
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0].error).toBeTruthy();
+    expect(delivery.attempts[0].statusCode).toBeUndefined();
+  });
+
+  it('fails deliveries of an inactive subscription without sending them', async () => {
+    useSubscription({ url: receiver.url, secret: SECRET, isActive: false });
+    const delivery = fakeDelivery();
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(delivery);
+
+    await attemptDelivery(delivery._id);
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts[0].error).toBe('Subscription is inactive');
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  it('leaves deliveries that are not due or already claimed alone', async () => {
+    WebhookDelivery.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await attemptDelivery('delivery-1')).toBeNull();
+    expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'delivery-1', status: 'pending' }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(receiver.requests).toHaveLength(0);
+  });
+});
+
+describe('replayDelivery', () => {
+  it('sends the event again under the same event id', async () => {
+    const original = fakeDelivery({ status: 'failed', attempts: [{ attemptedAt: new Date(), statusCode: 500 }] });
+    WebhookDelivery.create.mockImplementation(async (fields) => fakeDelivery({ ...fields, _id: 'delivery-2' }));
+    WebhookDelivery.findOneAndUpdate.mockImplementation(async () => WebhookDelivery.create.mock.results[0].value);
+
+    const replay = await replayDelivery(original);
+
+    expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+      eventId: 'evt_1',
+      payload: original.payload,
+      replayOf: 'delivery-1'
+    }));
+    expect(replay._id).toBe('delivery-2');
+    expect(replay.status).toBe('succeeded');
+    expect(receiver.requests).toHaveLength(1);
+    expect(receiver.requests[0].headers['x-picnichood-delivery']).toBe('delivery-2');
+    expect(JSON.parse(receiver.requests[0].body).id).toBe('evt_1');
+  });
+});